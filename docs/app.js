@@ -87,10 +87,29 @@ const defaultProgression = {
   freezeDaysIfPain: 2,
 };
 
+const defaultSchedule = {
+  enabled: false,
+  enabledAt: 0,
+  wakeStart: "08:00",
+  wakeEnd: "20:00",
+  quietStart: "",
+  quietEnd: "",
+  setsPerDay: 5,
+  snoozeMinutes: 15,
+  exerciseIds: [],
+  snoozes: {},
+};
+
+const DEFAULT_CATEGORIES = ["pull", "push", "legs", "core", "cardio", "other"];
+
 const defaultSettings = {
   progressionDefaults: defaultProgression,
+  schedule: defaultSchedule,
+  volumeCeilingMode: "warn",
+  spacingMode: "warn",
   themeOverride: "system",
   dailySetGoal: 5,
+  customCategories: [],
 };
 
 const state = {
@@ -99,6 +118,7 @@ const state = {
   logs: [],
   templates: [],
   settings: defaultSettings,
+  journal: [],
   toastQueue: [],
 };
 
@@ -109,10 +129,199 @@ const GTG_INTENSITY_PRESETS = {
 };
 const INTENSITY_MIN = 0.3;
 const INTENSITY_MAX = 0.7;
-const DELOAD_DAYS = 7;
+const DEFAULT_LOAD_INCREMENT_KG = 2.5;
+const DEFAULT_ONE_RM_FORMULA = "epley";
+const DEFAULT_MIN_REST_MINUTES = 15;
+const ESTIMATE_WINDOW_DAYS = 28;
+const ESTIMATE_MAX_RIR = 5;
+const ESTIMATE_MIN_GAIN_PCT = 0.05;
+const ISOMETRIC_RIR_FACTOR = 0.1;
+
+const BASELINE_SOURCE_LABELS = {
+  setup: "Setup",
+  maxTest: "Max test",
+  estimate: "Estimated from logs",
+  loadBump: "Automatic load bump",
+  edit: "Manual edit",
+};
+
+const LOG_STATUS_LABELS = {
+  complete: "Complete",
+  partial: "Partial",
+  failed: "Failed",
+  skipped: "Skipped",
+};
+const FAILURE_STREAK = 2;
+const JOURNAL_LIMIT = 50;
+const NEGLECTED_DAYS = 7;
+const NEGLECTED_SHARE = 0.1;
+const MOVING_AVERAGE_POINTS = 5;
+const FORECAST_MAX_DAYS = 365;
+const PAIN_REGIONS = {
+  shoulder: "Shoulder",
+  elbow: "Elbow",
+  wrist: "Wrist",
+  neck: "Neck",
+  upperBack: "Upper back",
+  lowerBack: "Lower back",
+  hip: "Hip",
+  knee: "Knee",
+  ankle: "Ankle",
+  other: "Other",
+};
+const PAIN_LOOKBACK_DAYS = 7;
+const PAIN_CORRELATION_MIN_DAYS = 5;
+
+const LADDER_RUNGS = 3;
+const DOUBLE_PROGRESSION_RANGE = 1.5;
+const STEP_LOADING_FACTORS = [1, 1.1, 1.2, 0.8];
+
+const PROGRESSION_STRATEGIES = {
+  gtg: {
+    label: "Fixed % GTG",
+    apply: ({ target }) => ({
+      ...target,
+      explanation: [...target.explanation, "Fixed-percentage GTG: the same crisp submaximal set every time."],
+    }),
+  },
+  ladder: {
+    label: "Ladder",
+    apply: ({ exercise, target, logs, now }) => {
+      const key = exercise.getAmountKey();
+      const top = target[key];
+      const rungs = Array.from({ length: LADDER_RUNGS }, (_, index) =>
+        Math.max(exercise.getMinAmount(), Math.round((top * (index + 1)) / LADDER_RUNGS))
+      );
+      const doneToday = logs.filter((log) => new Date(log.timestamp).toDateString() === new Date(now).toDateString()).length;
+      const rung = doneToday % LADDER_RUNGS;
+      return {
+        ...target,
+        [key]: rungs[rung],
+        explanation: [...target.explanation, `Ladder rung ${rung + 1} of ${LADDER_RUNGS}: ${rungs.join("-")}, then repeat.`],
+      };
+    },
+  },
+  double: {
+    label: "Double progression",
+    apply: ({ exercise, target, logs, profile }) => {
+      const key = exercise.getAmountKey();
+      const step = exercise.getAmountStep();
+      const low = target[key];
+      const high = Math.max(low + step, Math.round(low * DOUBLE_PROGRESSION_RANGE));
+      const last = logs.find((log) => log[key] !== undefined);
+      const loadKg = last?.loadKg ?? target.loadKg;
+      const range = `Double progression in a ${low}-${high} range`;
+      if (!last) {
+        return { ...target, explanation: [...target.explanation, `${range}: start at the bottom.`] };
+      }
+      if (last.rir !== undefined && last.rir < profile.targetRirMin) {
+        return {
+          ...target,
+          [key]: clamp(last[key], low, high),
+          ...(loadKg !== undefined ? { loadKg } : {}),
+          explanation: [...target.explanation, `${range}: last set was hard, repeat it.`],
+        };
+      }
+      if (last[key] >= high) {
+        if (exercise.loadIncrementKg && loadKg !== undefined) {
+          return {
+            ...target,
+            [key]: low,
+            loadKg: loadKg + exercise.loadIncrementKg,
+            explanation: [...target.explanation, `${range}: top reached, add ${exercise.loadIncrementKg} kg and reset.`],
+          };
+        }
+        return {
+          ...target,
+          [key]: high,
+          explanation: [...target.explanation, `${range}: top reached, time for a max test.`],
+        };
+      }
+      return {
+        ...target,
+        [key]: clamp(last[key] + step, low, high),
+        ...(loadKg !== undefined ? { loadKg } : {}),
+        explanation: [...target.explanation, `${range}: add ${step} to the last set.`],
+      };
+    },
+  },
+  rir: {
+    label: "RIR autoregulated",
+    apply: ({ exercise, target, logs, profile }) => {
+      const key = exercise.getAmountKey();
+      const step = exercise.getAmountStep();
+      const last = logs.find((log) => log.rir !== undefined && log[key] !== undefined);
+      if (!last) {
+        return {
+          ...target,
+          explanation: [...target.explanation, "RIR autoregulation: rate your sets so the next one can adapt."],
+        };
+      }
+      let amount = last[key];
+      let reason = `last set RIR ${last.rir} is on target, repeat it`;
+      if (last.rir > profile.targetRirMax) {
+        amount = last[key] + step;
+        reason = `last set RIR ${last.rir} is above ${profile.targetRirMax}, add ${step}`;
+      } else if (last.rir < profile.targetRirMin) {
+        amount = Math.max(exercise.getMinAmount(), last[key] - step);
+        reason = `last set RIR ${last.rir} is below ${profile.targetRirMin}, drop ${step}`;
+      }
+      return {
+        ...target,
+        [key]: amount,
+        ...(last.loadKg !== undefined ? { loadKg: last.loadKg } : {}),
+        explanation: [...target.explanation, `RIR autoregulation: ${reason}.`],
+      };
+    },
+  },
+  step: {
+    label: "Step loading",
+    apply: ({ exercise, target, logs, now }) => {
+      const key = exercise.getAmountKey();
+      const first = logs[logs.length - 1];
+      const week = first ? Math.floor((now - first.timestamp) / (7 * DAY_MS)) % STEP_LOADING_FACTORS.length : 0;
+      const factor = STEP_LOADING_FACTORS[week];
+      return {
+        ...target,
+        [key]: Math.max(exercise.getMinAmount(), Math.round(target[key] * factor)),
+        explanation: [
+          ...target.explanation,
+          `Step loading week ${week + 1} of ${STEP_LOADING_FACTORS.length}: ${Math.round(factor * 100)}% of the base set.`,
+        ],
+      };
+    },
+  },
+};
+
+const PROGRESSION_FIELDS = [
+  { key: "targetRirMin", label: "Target RIR min" },
+  { key: "targetRirMax", label: "Target RIR max" },
+  { key: "maxWeeklyVolumeIncreasePct", label: "Max weekly volume %" },
+  { key: "painWarn", label: "Pain warn" },
+  { key: "painReduce", label: "Pain reduce" },
+  { key: "deloadDays", label: "Deload days" },
+  { key: "deloadVolumeFactor", label: "Deload factor", step: "0.05" },
+  { key: "freezeDaysIfPain", label: "Freeze days if pain" },
+];
 
 class Exercise {
-  constructor({ id, name, category, tags = [], notes = "", variantsSchema = [], baseline = {}, deloadUntil = null }) {
+  constructor({
+    id,
+    name,
+    category,
+    tags = [],
+    notes = "",
+    variantsSchema = [],
+    baseline = {},
+    baselineHistory = [],
+    baselineSuggestionDismissedAt = null,
+    deloadUntil = null,
+    freezeUntil = null,
+    progressionOverrides = {},
+    progressionStrategy = "gtg",
+    minRestMinutes = 0,
+    archivedAt = null,
+  }) {
     this.id = id;
     this.name = name;
     this.category = category;
@@ -120,13 +329,129 @@ class Exercise {
     this.notes = notes;
     this.variantsSchema = variantsSchema;
     this.baseline = baseline ?? {};
+    this.baselineHistory = baselineHistory ?? [];
+    this.baselineSuggestionDismissedAt = baselineSuggestionDismissedAt ?? null;
     this.deloadUntil = deloadUntil ?? null;
+    this.freezeUntil = freezeUntil ?? null;
+    this.progressionOverrides = progressionOverrides ?? {};
+    this.progressionStrategy = progressionStrategy ?? "gtg";
+    this.minRestMinutes = minRestMinutes ?? 0;
+    this.archivedAt = archivedAt ?? null;
+  }
+
+  getNextAvailableAt(logs, before = Infinity) {
+    const lastSet = logs
+      .filter(
+        (log) =>
+          log.exerciseId === this.id && log.status !== "skipped" && log.kind !== "maxTest" && log.timestamp <= before
+      )
+      .reduce((latest, log) => Math.max(latest, log.timestamp), 0);
+    return lastSet ? lastSet + this.minRestMinutes * 60 * 1000 : 0;
   }
 
   getPrimaryMetricType() {
     throw new Error("Not implemented");
   }
 
+  getBaselineMetric() {
+    throw new Error("Not implemented");
+  }
+
+  formatBaseline() {
+    throw new Error("Not implemented");
+  }
+
+  buildBaselineFromLog() {
+    throw new Error("Not implemented");
+  }
+
+  getBaselineLog() {
+    throw new Error("Not implemented");
+  }
+
+  getLogFields() {
+    throw new Error("Not implemented");
+  }
+
+  estimateBaselineFromLog() {
+    return null;
+  }
+
+  getLogVolume() {
+    throw new Error("Not implemented");
+  }
+
+  getAmountKey() {
+    return "reps";
+  }
+
+  getAmountStep() {
+    return 1;
+  }
+
+  getMinAmount() {
+    return 1;
+  }
+
+  applyStrategy(target, logs, ctx) {
+    const key = ctx.strategy || this.progressionStrategy;
+    const strategy = PROGRESSION_STRATEGIES[key] ?? PROGRESSION_STRATEGIES.gtg;
+    if (target.deload) return { ...target, strategy: key };
+    const workLogs = logs
+      .filter((log) => log.status === "complete" && log.kind !== "maxTest")
+      .sort((a, b) => b.timestamp - a.timestamp);
+    const profile = getProgressionProfile(this, ctx.profile);
+    return { ...strategy.apply({ exercise: this, target, logs: workLogs, now: ctx.now, profile }), strategy: key };
+  }
+
+  getVolumeUnit() {
+    throw new Error("Not implemented");
+  }
+
+  computeVolumeBudget(logs, now, profile) {
+    const { volumeThisWeek, volumePrevWeek } = getWeeklyVolume(logs, now, (log) => this.getLogVolume(log));
+    if (!volumePrevWeek) {
+      return { used: volumeThisWeek, allowed: null, remaining: null };
+    }
+    const allowed = volumePrevWeek * (1 + profile.maxWeeklyVolumeIncreasePct / 100);
+    return { used: volumeThisWeek, allowed, remaining: Math.max(0, allowed - volumeThisWeek) };
+  }
+
+  applyVolumeBudget(target, logs, now, profile) {
+    const budget = this.computeVolumeBudget(logs, now, profile);
+    const setVolume = this.getLogVolume(target);
+    const setsLeft = budget.remaining !== null && setVolume > 0 ? Math.floor(budget.remaining / setVolume) : null;
+    if (setsLeft === 0) {
+      target.explanation.push(
+        `Weekly volume ceiling reached (+${profile.maxWeeklyVolumeIncreasePct}% over last week). Rest until the window rolls over.`
+      );
+    }
+    return { ...target, volumeBudget: { ...budget, setsLeft } };
+  }
+
+  suggestBaseline(logs, now) {
+    const lastUpdate = this.baselineHistory.reduce((latest, entry) => Math.max(latest, entry.timestamp), 0);
+    const since = Math.max(now - ESTIMATE_WINDOW_DAYS * DAY_MS, lastUpdate, this.baselineSuggestionDismissedAt ?? 0);
+    const current = this.getBaselineMetric();
+    const best = logs
+      .filter(
+        (log) =>
+          log.timestamp > since &&
+          log.status === "complete" &&
+          log.kind !== "maxTest" &&
+          log.rir !== undefined &&
+          log.rir <= ESTIMATE_MAX_RIR
+      )
+      .map((log) => this.estimateBaselineFromLog(log))
+      .filter(Boolean)
+      .map((baseline) => ({ baseline, metric: this.getBaselineMetric(baseline) }))
+      .filter((estimate) => Number.isFinite(estimate.metric))
+      .sort((a, b) => b.metric - a.metric)[0];
+    if (!best || !Number.isFinite(current)) return null;
+    if (best.metric < current * (1 + ESTIMATE_MIN_GAIN_PCT)) return null;
+    return { baseline: best.baseline, current, estimated: best.metric };
+  }
+
   validateLog() {
     return { valid: true };
   }
@@ -150,26 +475,61 @@ class RepsExercise extends Exercise {
     return "reps";
   }
 
+  getBaselineMetric(baseline = this.baseline) {
+    return baseline.maxCleanReps;
+  }
+
+  formatBaseline(baseline = this.baseline) {
+    return `${baseline.maxCleanReps ?? 0} reps`;
+  }
+
+  buildBaselineFromLog(log) {
+    return { maxCleanReps: log.reps };
+  }
+
+  getBaselineLog() {
+    return { reps: this.baseline.maxCleanReps };
+  }
+
+  getLogFields() {
+    return [{ key: "reps", label: "Reps" }];
+  }
+
+  estimateBaselineFromLog(log) {
+    if (!log.reps) return null;
+    return { maxCleanReps: log.reps + log.rir };
+  }
+
+  getLogVolume(log) {
+    return log.reps ?? 0;
+  }
+
+  getVolumeUnit() {
+    return "reps";
+  }
+
   validateLog(log) {
     const errors = [];
-    if (log.status === "complete" && (!log.reps || log.reps < 1)) {
+    if (hasLogResult(log) && (!log.reps || log.reps < 1)) {
       errors.push("Reps must be at least 1.");
     }
     return errors.length ? { valid: false, errors } : { valid: true };
   }
 
   computeNextTarget(logs, ctx) {
-    const { intensityPct, deloadActive } = getEffectiveIntensity(this, ctx.now);
-    const explanation = buildIntensityExplanation(intensityPct, deloadActive);
+    const profile = getProgressionProfile(this, ctx.profile);
+    const { intensityPct, deloadActive } = getEffectiveIntensity(this, ctx.now, profile);
+    const explanation = buildIntensityExplanation(this, intensityPct, deloadActive, profile, ctx.now);
     const maxCleanReps = this.baseline.maxCleanReps ?? 1;
     let nextReps = Math.max(1, Math.round(maxCleanReps * intensityPct));
 
-    return {
+    const target = {
       metricType: "reps",
       reps: nextReps,
       explanation,
       deload: deloadActive,
     };
+    return this.applyVolumeBudget(this.applyStrategy(target, logs, ctx), logs, ctx.now, profile);
   }
 
   computeStats(logs, window) {
@@ -178,8 +538,8 @@ class RepsExercise extends Exercise {
     const reps = recentLogs.map((log) => log.reps).filter((value) => value !== undefined);
     const rir = recentLogs.map((log) => log.rir).filter((value) => value !== undefined);
     const pain = recentLogs.map((log) => log.pain0to10).filter((value) => value !== undefined);
-    const { volumeThisWeek, volumePrevWeek } = getWeeklyVolume(logs, now, (log) => log.reps ?? 0);
-    const painStats = summarizePainFlags(logs);
+    const { volumeThisWeek, volumePrevWeek } = getWeeklyVolume(logs, now, (log) => this.getLogVolume(log));
+    const painStats = summarizePainFlags(recentLogs, window);
 
     return {
       prReps: reps.length ? Math.max(...reps) : undefined,
@@ -188,6 +548,7 @@ class RepsExercise extends Exercise {
       avgPain: pain.length ? average(pain) : undefined,
       volumeThisWeek,
       volumePrevWeek,
+      completionRate: computeCompletionRate(recentLogs),
       ...painStats,
     };
   }
@@ -197,129 +558,608 @@ class WeightedRepsExercise extends Exercise {
   constructor(input) {
     super(input);
     this.baseline = input.baseline ?? {};
+    this.loadIncrementKg = input.loadIncrementKg ?? DEFAULT_LOAD_INCREMENT_KG;
+    this.oneRmFormula = input.oneRmFormula ?? DEFAULT_ONE_RM_FORMULA;
   }
 
   getPrimaryMetricType() {
     return "weightedReps";
   }
 
+  getBaselineMetric(baseline = this.baseline) {
+    if (!baseline.topSet) return undefined;
+    return estimate1RM(baseline.topSet.reps ?? 0, baseline.topSet.loadKg ?? 0, this.oneRmFormula);
+  }
+
+  formatBaseline(baseline = this.baseline) {
+    return `${baseline.topSet?.reps ?? 0} reps @ ${baseline.topSet?.loadKg ?? 0} kg`;
+  }
+
+  buildBaselineFromLog(log) {
+    return { topSet: { reps: log.reps, loadKg: log.loadKg } };
+  }
+
+  getBaselineLog() {
+    return { reps: this.baseline.topSet?.reps, loadKg: this.baseline.topSet?.loadKg };
+  }
+
+  getLogFields() {
+    return [
+      { key: "reps", label: "Reps" },
+      { key: "loadKg", label: "Load kg", step: "0.5" },
+    ];
+  }
+
+  estimateBaselineFromLog(log) {
+    if (!log.reps || !log.loadKg) return null;
+    const reps = this.baseline.topSet?.reps ?? log.reps;
+    const oneRm = estimate1RM(log.reps + log.rir, log.loadKg, this.oneRmFormula);
+    return { topSet: { reps, loadKg: roundTo(loadForReps(oneRm, reps, this.oneRmFormula), 0.5) } };
+  }
+
+  getLogVolume(log) {
+    return (log.reps ?? 0) * (log.loadKg ?? 0);
+  }
+
+  getVolumeUnit() {
+    return "kg";
+  }
+
   validateLog(log) {
     const errors = [];
-    if (log.status === "complete") {
+    if (hasLogResult(log)) {
       if (!log.reps || log.reps < 1) {
         errors.push("Reps must be at least 1.");
       }
-      if (!log.loadKg || log.loadKg <= 0) {
-        errors.push("Load must be greater than 0.");
+      if (!log.loadKg || log.loadKg <= 0) {
+        errors.push("Load must be greater than 0.");
+      }
+    }
+    return errors.length ? { valid: false, errors } : { valid: true };
+  }
+
+  computeNextTarget(logs, ctx) {
+    const profile = getProgressionProfile(this, ctx.profile);
+    const { intensityPct, deloadActive } = getEffectiveIntensity(this, ctx.now, profile);
+    const explanation = buildIntensityExplanation(this, intensityPct, deloadActive, profile, ctx.now);
+    const topSet = this.baseline.topSet ?? { reps: 1, loadKg: 0 };
+    const oneRm = this.getBaselineMetric() ?? 0;
+    const nextReps = Math.max(1, Math.round((topSet.reps ?? 1) * intensityPct));
+    const workingReps = Math.max(1, Math.round((topSet.reps ?? 1) * normalizeIntensity(this.baseline.intensityPct)));
+    const targetRir = (profile.targetRirMin + profile.targetRirMax) / 2;
+    const nextLoad = Math.max(
+      this.loadIncrementKg,
+      roundTo(loadForReps(oneRm, workingReps + targetRir, this.oneRmFormula), this.loadIncrementKg)
+    );
+    if (oneRm > 0) {
+      explanation.push(
+        `Load: ${Math.round((nextLoad / oneRm) * 100)}% of estimated 1RM (${formatNumber(oneRm)} kg, ${getOneRmFormula(this.oneRmFormula).label}), ${this.loadIncrementKg} kg steps.`
+      );
+    }
+
+    const target = {
+      metricType: "weightedReps",
+      reps: nextReps,
+      loadKg: nextLoad,
+      explanation,
+      deload: deloadActive,
+    };
+    return this.applyVolumeBudget(this.applyStrategy(target, logs, ctx), logs, ctx.now, profile);
+  }
+
+  computeStats(logs, window) {
+    const now = Date.now();
+    const recentLogs = logs.filter((log) => now - log.timestamp <= window * DAY_MS);
+    const reps = recentLogs.map((log) => log.reps).filter((value) => value !== undefined);
+    const loads = recentLogs.map((log) => log.loadKg).filter((value) => value !== undefined);
+    const rir = recentLogs.map((log) => log.rir).filter((value) => value !== undefined);
+    const pain = recentLogs.map((log) => log.pain0to10).filter((value) => value !== undefined);
+    const estimated = recentLogs
+      .map((log) => estimateLog1RM(log, this.oneRmFormula))
+      .filter((value) => value !== undefined);
+
+    const { volumeThisWeek, volumePrevWeek } = getWeeklyVolume(logs, now, (log) => this.getLogVolume(log));
+    const painStats = summarizePainFlags(recentLogs, window);
+
+    return {
+      prReps: reps.length ? Math.max(...reps) : undefined,
+      prLoadKg: loads.length ? Math.max(...loads) : undefined,
+      bestEstimated1RM: estimated.length ? Math.max(...estimated) : undefined,
+      avgRir: rir.length ? average(rir) : undefined,
+      medianRir: rir.length ? median(rir) : undefined,
+      avgPain: pain.length ? average(pain) : undefined,
+      volumeThisWeek,
+      volumePrevWeek,
+      completionRate: computeCompletionRate(recentLogs),
+      ...painStats,
+    };
+  }
+}
+
+class IsometricExercise extends Exercise {
+  constructor(input) {
+    super(input);
+    this.baseline = input.baseline ?? {};
+  }
+
+  getPrimaryMetricType() {
+    return "isometric";
+  }
+
+  getBaselineMetric(baseline = this.baseline) {
+    return baseline.maxCleanHoldSec;
+  }
+
+  formatBaseline(baseline = this.baseline) {
+    return `${baseline.maxCleanHoldSec ?? 0} sec`;
+  }
+
+  buildBaselineFromLog(log) {
+    return { maxCleanHoldSec: log.durationSec };
+  }
+
+  getBaselineLog() {
+    return { durationSec: this.baseline.maxCleanHoldSec };
+  }
+
+  getLogFields() {
+    return [{ key: "durationSec", label: "Seconds" }];
+  }
+
+  estimateBaselineFromLog(log) {
+    if (!log.durationSec) return null;
+    return { maxCleanHoldSec: Math.round(log.durationSec * (1 + log.rir * ISOMETRIC_RIR_FACTOR)) };
+  }
+
+  getLogVolume(log) {
+    return log.durationSec ?? 0;
+  }
+
+  getVolumeUnit() {
+    return "sec";
+  }
+
+  getAmountKey() {
+    return "durationSec";
+  }
+
+  getAmountStep() {
+    return 5;
+  }
+
+  getMinAmount() {
+    return 5;
+  }
+
+  validateLog(log) {
+    const errors = [];
+    if (hasLogResult(log) && (!log.durationSec || log.durationSec <= 0)) {
+      errors.push("Duration must be greater than 0.");
+    }
+    return errors.length ? { valid: false, errors } : { valid: true };
+  }
+
+  computeNextTarget(logs, ctx) {
+    const profile = getProgressionProfile(this, ctx.profile);
+    const { intensityPct, deloadActive } = getEffectiveIntensity(this, ctx.now, profile);
+    const explanation = buildIntensityExplanation(this, intensityPct, deloadActive, profile, ctx.now);
+    const maxHold = this.baseline.maxCleanHoldSec ?? 5;
+    let nextDuration = Math.max(5, Math.round(maxHold * intensityPct));
+
+    const target = {
+      metricType: "isometric",
+      durationSec: nextDuration,
+      explanation,
+      deload: deloadActive,
+    };
+    return this.applyVolumeBudget(this.applyStrategy(target, logs, ctx), logs, ctx.now, profile);
+  }
+
+  computeStats(logs, window) {
+    const now = Date.now();
+    const recentLogs = logs.filter((log) => now - log.timestamp <= window * DAY_MS);
+    const durations = recentLogs.map((log) => log.durationSec).filter((value) => value !== undefined);
+    const rir = recentLogs.map((log) => log.rir).filter((value) => value !== undefined);
+    const pain = recentLogs.map((log) => log.pain0to10).filter((value) => value !== undefined);
+
+    const { volumeThisWeek, volumePrevWeek } = getWeeklyVolume(logs, now, (log) => this.getLogVolume(log));
+    const painStats = summarizePainFlags(recentLogs, window);
+
+    return {
+      prDurationSec: durations.length ? Math.max(...durations) : undefined,
+      avgRir: rir.length ? average(rir) : undefined,
+      medianRir: rir.length ? median(rir) : undefined,
+      avgPain: pain.length ? average(pain) : undefined,
+      volumeThisWeek,
+      volumePrevWeek,
+      completionRate: computeCompletionRate(recentLogs),
+      ...painStats,
+    };
+  }
+}
+
+class DistanceExercise extends Exercise {
+  constructor(input) {
+    super(input);
+    this.baseline = input.baseline ?? {};
+  }
+
+  getPrimaryMetricType() {
+    return "distance";
+  }
+
+  getBaselineMetric(baseline = this.baseline) {
+    if (!baseline.distanceM || !baseline.timeSec) return undefined;
+    return speedKmh(baseline.distanceM, baseline.timeSec);
+  }
+
+  formatBaseline(baseline = this.baseline) {
+    return `${baseline.distanceM ?? 0} m in ${formatDuration(baseline.timeSec ?? 0)}`;
+  }
+
+  buildBaselineFromLog(log) {
+    return { distanceM: log.distanceM, timeSec: log.durationSec };
+  }
+
+  getBaselineLog() {
+    return { distanceM: this.baseline.distanceM, durationSec: this.baseline.timeSec };
+  }
+
+  getLogFields() {
+    return [
+      { key: "distanceM", label: "Distance m" },
+      { key: "durationSec", label: "Time sec" },
+    ];
+  }
+
+  getLogVolume(log) {
+    return log.distanceM ?? 0;
+  }
+
+  getVolumeUnit() {
+    return "m";
+  }
+
+  getAmountKey() {
+    return "distanceM";
+  }
+
+  getAmountStep() {
+    return 100;
+  }
+
+  getMinAmount() {
+    return 100;
+  }
+
+  applyStrategy(target, logs, ctx) {
+    const next = super.applyStrategy(target, logs, ctx);
+    if (!target.distanceM || next.distanceM === target.distanceM) return next;
+    return { ...next, durationSec: Math.round(target.durationSec * (next.distanceM / target.distanceM)) };
+  }
+
+  validateLog(log) {
+    const errors = [];
+    if (hasLogResult(log)) {
+      if (!log.distanceM || log.distanceM <= 0) {
+        errors.push("Distance must be greater than 0.");
+      }
+      if (!log.durationSec || log.durationSec <= 0) {
+        errors.push("Time must be greater than 0.");
+      }
+    }
+    return errors.length ? { valid: false, errors } : { valid: true };
+  }
+
+  computeNextTarget(logs, ctx) {
+    const profile = getProgressionProfile(this, ctx.profile);
+    const { intensityPct, deloadActive } = getEffectiveIntensity(this, ctx.now, profile);
+    const explanation = buildIntensityExplanation(this, intensityPct, deloadActive, profile, ctx.now);
+    const distanceM = this.baseline.distanceM ?? 400;
+    const timeSec = this.baseline.timeSec ?? 120;
+    const paceFactor = 0.6 + intensityPct * 0.5;
+    explanation.push(`Pace: ${Math.round(paceFactor * 100)}% of your best speed.`);
+
+    const target = {
+      metricType: "distance",
+      distanceM,
+      durationSec: Math.round(timeSec / paceFactor),
+      explanation,
+      deload: deloadActive,
+    };
+    return this.applyVolumeBudget(this.applyStrategy(target, logs, ctx), logs, ctx.now, profile);
+  }
+
+  computeStats(logs, window) {
+    const now = Date.now();
+    const recentLogs = logs.filter((log) => now - log.timestamp <= window * DAY_MS);
+    const distances = recentLogs.map((log) => log.distanceM).filter((value) => value !== undefined);
+    const speeds = recentLogs
+      .filter((log) => log.distanceM && log.durationSec)
+      .map((log) => speedKmh(log.distanceM, log.durationSec));
+    const rir = recentLogs.map((log) => log.rir).filter((value) => value !== undefined);
+    const pain = recentLogs.map((log) => log.pain0to10).filter((value) => value !== undefined);
+
+    const { volumeThisWeek, volumePrevWeek } = getWeeklyVolume(logs, now, (log) => this.getLogVolume(log));
+    const painStats = summarizePainFlags(recentLogs, window);
+
+    return {
+      prDistanceM: distances.length ? Math.max(...distances) : undefined,
+      totalDistanceM: distances.length ? distances.reduce((sum, value) => sum + value, 0) : undefined,
+      bestSpeedKmh: speeds.length ? Math.max(...speeds) : undefined,
+      avgRir: rir.length ? average(rir) : undefined,
+      medianRir: rir.length ? median(rir) : undefined,
+      avgPain: pain.length ? average(pain) : undefined,
+      volumeThisWeek,
+      volumePrevWeek,
+      completionRate: computeCompletionRate(recentLogs),
+      ...painStats,
+    };
+  }
+}
+
+class IntervalExercise extends Exercise {
+  constructor(input) {
+    super(input);
+    this.baseline = input.baseline ?? {};
+  }
+
+  getPrimaryMetricType() {
+    return "interval";
+  }
+
+  getBaselineMetric(baseline = this.baseline) {
+    return baseline.maxRounds;
+  }
+
+  formatBaseline(baseline = this.baseline) {
+    return `${baseline.maxRounds ?? 0} × ${baseline.workSec ?? 0}s on / ${baseline.restSec ?? 0}s off`;
+  }
+
+  buildBaselineFromLog(log) {
+    return { maxRounds: log.rounds, workSec: log.workSec, restSec: log.restSec };
+  }
+
+  estimateBaselineFromLog(log) {
+    if (!log.rounds || (log.workSec ?? 0) < (this.baseline.workSec ?? 0)) return null;
+    return { maxRounds: log.rounds + log.rir, workSec: this.baseline.workSec, restSec: this.baseline.restSec };
+  }
+
+  getBaselineLog() {
+    return { rounds: this.baseline.maxRounds, workSec: this.baseline.workSec, restSec: this.baseline.restSec };
+  }
+
+  getLogFields() {
+    return [
+      { key: "rounds", label: "Rounds" },
+      { key: "workSec", label: "Work sec" },
+      { key: "restSec", label: "Rest sec" },
+    ];
+  }
+
+  getLogVolume(log) {
+    return (log.rounds ?? 0) * (log.workSec ?? 0);
+  }
+
+  getVolumeUnit() {
+    return "work sec";
+  }
+
+  getAmountKey() {
+    return "rounds";
+  }
+
+  validateLog(log) {
+    const errors = [];
+    if (hasLogResult(log)) {
+      if (!log.rounds || log.rounds < 1) {
+        errors.push("Rounds must be at least 1.");
+      }
+      if (!log.workSec || log.workSec <= 0) {
+        errors.push("Work interval must be greater than 0.");
+      }
+      if (log.restSec === undefined || log.restSec < 0) {
+        errors.push("Rest interval cannot be negative.");
       }
     }
     return errors.length ? { valid: false, errors } : { valid: true };
   }
 
   computeNextTarget(logs, ctx) {
-    const { intensityPct, deloadActive } = getEffectiveIntensity(this, ctx.now);
-    const explanation = buildIntensityExplanation(intensityPct, deloadActive);
-    const topSet = this.baseline.topSet ?? { reps: 1, loadKg: 0 };
-    const nextReps = Math.max(1, Math.round((topSet.reps ?? 1) * intensityPct));
-    const nextLoad = topSet.loadKg ?? 0;
-
-    return {
-      metricType: "weightedReps",
-      reps: nextReps,
-      loadKg: nextLoad,
+    const profile = getProgressionProfile(this, ctx.profile);
+    const { intensityPct, deloadActive } = getEffectiveIntensity(this, ctx.now, profile);
+    const explanation = buildIntensityExplanation(this, intensityPct, deloadActive, profile, ctx.now);
+    const maxRounds = this.baseline.maxRounds ?? 1;
+
+    const target = {
+      metricType: "interval",
+      rounds: Math.max(1, Math.round(maxRounds * intensityPct)),
+      workSec: this.baseline.workSec ?? 30,
+      restSec: this.baseline.restSec ?? 30,
       explanation,
       deload: deloadActive,
     };
+    return this.applyVolumeBudget(this.applyStrategy(target, logs, ctx), logs, ctx.now, profile);
   }
 
   computeStats(logs, window) {
     const now = Date.now();
     const recentLogs = logs.filter((log) => now - log.timestamp <= window * DAY_MS);
-    const reps = recentLogs.map((log) => log.reps).filter((value) => value !== undefined);
-    const loads = recentLogs.map((log) => log.loadKg).filter((value) => value !== undefined);
+    const rounds = recentLogs.map((log) => log.rounds).filter((value) => value !== undefined);
     const rir = recentLogs.map((log) => log.rir).filter((value) => value !== undefined);
     const pain = recentLogs.map((log) => log.pain0to10).filter((value) => value !== undefined);
-    const estimated = recentLogs
-      .filter((log) => log.reps && log.loadKg)
-      .map((log) => estimate1RM(log.reps ?? 0, log.loadKg ?? 0));
 
-    const { volumeThisWeek, volumePrevWeek } = getWeeklyVolume(
-      logs,
-      now,
-      (log) => (log.reps ?? 0) * (log.loadKg ?? 0)
-    );
-    const painStats = summarizePainFlags(logs);
+    const { volumeThisWeek, volumePrevWeek } = getWeeklyVolume(logs, now, (log) => this.getLogVolume(log));
+    const painStats = summarizePainFlags(recentLogs, window);
 
     return {
-      prReps: reps.length ? Math.max(...reps) : undefined,
-      prLoadKg: loads.length ? Math.max(...loads) : undefined,
-      bestEstimated1RM: estimated.length ? Math.max(...estimated) : undefined,
+      prRounds: rounds.length ? Math.max(...rounds) : undefined,
       avgRir: rir.length ? average(rir) : undefined,
       medianRir: rir.length ? median(rir) : undefined,
       avgPain: pain.length ? average(pain) : undefined,
       volumeThisWeek,
       volumePrevWeek,
+      completionRate: computeCompletionRate(recentLogs),
       ...painStats,
     };
   }
 }
 
-class IsometricExercise extends Exercise {
+class CarryExercise extends Exercise {
   constructor(input) {
     super(input);
     this.baseline = input.baseline ?? {};
   }
 
   getPrimaryMetricType() {
-    return "isometric";
+    return "carry";
+  }
+
+  getBaselineMetric(baseline = this.baseline) {
+    if (!baseline.loadKg || !baseline.maxDistanceM) return undefined;
+    return baseline.loadKg * baseline.maxDistanceM;
+  }
+
+  formatBaseline(baseline = this.baseline) {
+    return `${baseline.loadKg ?? 0} kg × ${baseline.maxDistanceM ?? 0} m`;
+  }
+
+  buildBaselineFromLog(log) {
+    return { loadKg: log.loadKg, maxDistanceM: log.distanceM };
+  }
+
+  estimateBaselineFromLog(log) {
+    if (!log.distanceM || !log.loadKg || log.loadKg < (this.baseline.loadKg ?? 0)) return null;
+    return {
+      loadKg: log.loadKg,
+      maxDistanceM: roundTo(log.distanceM * (1 + log.rir * ISOMETRIC_RIR_FACTOR), 5),
+    };
+  }
+
+  getBaselineLog() {
+    return { loadKg: this.baseline.loadKg, distanceM: this.baseline.maxDistanceM };
+  }
+
+  getLogFields() {
+    return [
+      { key: "loadKg", label: "Load kg", step: "0.5" },
+      { key: "distanceM", label: "Distance m" },
+    ];
+  }
+
+  getLogVolume(log) {
+    return (log.loadKg ?? 0) * (log.distanceM ?? 0);
+  }
+
+  getVolumeUnit() {
+    return "kg·m";
+  }
+
+  getAmountKey() {
+    return "distanceM";
+  }
+
+  getAmountStep() {
+    return 5;
+  }
+
+  getMinAmount() {
+    return 5;
   }
 
   validateLog(log) {
     const errors = [];
-    if (log.status === "complete" && (!log.durationSec || log.durationSec <= 0)) {
-      errors.push("Duration must be greater than 0.");
+    if (hasLogResult(log)) {
+      if (!log.loadKg || log.loadKg <= 0) {
+        errors.push("Load must be greater than 0.");
+      }
+      if (!log.distanceM || log.distanceM <= 0) {
+        errors.push("Distance must be greater than 0.");
+      }
     }
     return errors.length ? { valid: false, errors } : { valid: true };
   }
 
   computeNextTarget(logs, ctx) {
-    const { intensityPct, deloadActive } = getEffectiveIntensity(this, ctx.now);
-    const explanation = buildIntensityExplanation(intensityPct, deloadActive);
-    const maxHold = this.baseline.maxCleanHoldSec ?? 5;
-    let nextDuration = Math.max(5, Math.round(maxHold * intensityPct));
-
-    return {
-      metricType: "isometric",
-      durationSec: nextDuration,
+    const profile = getProgressionProfile(this, ctx.profile);
+    const { intensityPct, deloadActive } = getEffectiveIntensity(this, ctx.now, profile);
+    const explanation = buildIntensityExplanation(this, intensityPct, deloadActive, profile, ctx.now);
+    const maxDistanceM = this.baseline.maxDistanceM ?? 20;
+
+    const target = {
+      metricType: "carry",
+      loadKg: this.baseline.loadKg ?? 0,
+      distanceM: Math.max(5, roundTo(maxDistanceM * intensityPct, 5)),
       explanation,
       deload: deloadActive,
     };
+    return this.applyVolumeBudget(this.applyStrategy(target, logs, ctx), logs, ctx.now, profile);
   }
 
   computeStats(logs, window) {
     const now = Date.now();
     const recentLogs = logs.filter((log) => now - log.timestamp <= window * DAY_MS);
-    const durations = recentLogs.map((log) => log.durationSec).filter((value) => value !== undefined);
+    const distances = recentLogs.map((log) => log.distanceM).filter((value) => value !== undefined);
+    const loads = recentLogs.map((log) => log.loadKg).filter((value) => value !== undefined);
     const rir = recentLogs.map((log) => log.rir).filter((value) => value !== undefined);
     const pain = recentLogs.map((log) => log.pain0to10).filter((value) => value !== undefined);
 
-    const { volumeThisWeek, volumePrevWeek } = getWeeklyVolume(logs, now, (log) => log.durationSec ?? 0);
-    const painStats = summarizePainFlags(logs);
+    const { volumeThisWeek, volumePrevWeek } = getWeeklyVolume(logs, now, (log) => this.getLogVolume(log));
+    const painStats = summarizePainFlags(recentLogs, window);
 
     return {
-      prDurationSec: durations.length ? Math.max(...durations) : undefined,
+      prDistanceM: distances.length ? Math.max(...distances) : undefined,
+      prLoadKg: loads.length ? Math.max(...loads) : undefined,
       avgRir: rir.length ? average(rir) : undefined,
       medianRir: rir.length ? median(rir) : undefined,
       avgPain: pain.length ? average(pain) : undefined,
       volumeThisWeek,
       volumePrevWeek,
+      completionRate: computeCompletionRate(recentLogs),
       ...painStats,
     };
   }
 }
 
+const BASELINE_FORM_FIELDS = {
+  distance: [
+    { key: "distanceM", label: "Test distance (m)" },
+    { key: "timeSec", label: "Best time (seconds)" },
+  ],
+  interval: [
+    { key: "workSec", label: "Work (seconds)" },
+    { key: "restSec", label: "Rest (seconds)", min: 0 },
+    { key: "maxRounds", label: "Max rounds" },
+  ],
+  carry: [
+    { key: "loadKg", label: "Load kg", step: "0.5" },
+    { key: "maxDistanceM", label: "Max distance (m)" },
+  ],
+};
+
+const BASELINE_EDIT_FIELDS = {
+  reps: [{ key: "maxCleanReps", label: "Max clean reps" }],
+  weighted: [
+    { key: "reps", label: "Top set reps", nested: "topSet" },
+    { key: "loadKg", label: "Top set kg", step: "0.5", nested: "topSet" },
+  ],
+  isometric: [{ key: "maxCleanHoldSec", label: "Max clean hold (seconds)" }],
+  ...BASELINE_FORM_FIELDS,
+};
+
+const EXERCISE_CLASSES = {
+  reps: RepsExercise,
+  weighted: WeightedRepsExercise,
+  isometric: IsometricExercise,
+  distance: DistanceExercise,
+  interval: IntervalExercise,
+  carry: CarryExercise,
+};
+
 function normalizeExerciseRecord(record) {
   const baseline = record.baseline ?? {};
+  let loadIncrementKg = record.loadIncrementKg;
+  let oneRmFormula = record.oneRmFormula;
   if (record.type === "reps") {
     baseline.maxCleanReps = baseline.maxCleanReps ?? record.repRange?.max ?? 10;
   } else if (record.type === "weighted") {
@@ -327,22 +1167,86 @@ function normalizeExerciseRecord(record) {
       reps: record.repRange?.max ?? 8,
       loadKg: record.loadIncrementKg ? record.loadIncrementKg * 4 : 20,
     };
+    loadIncrementKg = loadIncrementKg ?? DEFAULT_LOAD_INCREMENT_KG;
+    oneRmFormula = oneRmFormula ?? DEFAULT_ONE_RM_FORMULA;
+  } else if (record.type === "distance") {
+    baseline.distanceM = baseline.distanceM ?? 400;
+    baseline.timeSec = baseline.timeSec ?? 120;
+  } else if (record.type === "interval") {
+    baseline.maxRounds = baseline.maxRounds ?? 8;
+    baseline.workSec = baseline.workSec ?? 30;
+    baseline.restSec = baseline.restSec ?? 30;
+  } else if (record.type === "carry") {
+    baseline.loadKg = baseline.loadKg ?? 20;
+    baseline.maxDistanceM = baseline.maxDistanceM ?? 40;
   } else {
     baseline.maxCleanHoldSec = baseline.maxCleanHoldSec ?? record.durationRangeSec?.max ?? 30;
   }
   baseline.intensityPct = normalizeIntensity(baseline.intensityPct ?? GTG_INTENSITY_PRESETS.normal);
   return {
     ...record,
+    ...(loadIncrementKg !== undefined ? { loadIncrementKg } : {}),
+    ...(oneRmFormula !== undefined ? { oneRmFormula } : {}),
     baseline,
+    baselineHistory: record.baselineHistory ?? [],
+    baselineSuggestionDismissedAt: record.baselineSuggestionDismissedAt ?? null,
     deloadUntil: record.deloadUntil ?? null,
+    freezeUntil: record.freezeUntil ?? null,
+    progressionOverrides: record.progressionOverrides ?? {},
+    progressionStrategy: record.progressionStrategy ?? "gtg",
+    minRestMinutes: record.minRestMinutes ?? 0,
+    archivedAt: record.archivedAt ?? null,
+    tags: record.tags ?? [],
+    targetValue: record.targetValue ?? null,
   };
 }
 
+function getActiveExercises() {
+  return state.exercises.filter((exercise) => !exercise.archivedAt);
+}
+
+function getCategories() {
+  return [
+    ...new Set([
+      ...DEFAULT_CATEGORIES,
+      ...(state.settings.customCategories ?? []),
+      ...state.exercises.map((exercise) => exercise.category).filter(Boolean),
+    ]),
+  ];
+}
+
+function getAllTags() {
+  return [...new Set(state.exercises.flatMap((exercise) => exercise.tags ?? []))].sort((a, b) => a.localeCompare(b));
+}
+
+function parseTags(value) {
+  return value
+    .split(",")
+    .map((tag) => tag.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function matchesExerciseFilter(exercise) {
+  if (state.filterCategory && exercise.category !== state.filterCategory) return false;
+  if (state.filterTag && !(exercise.tags ?? []).includes(state.filterTag)) return false;
+  return true;
+}
+
+function getFilteredExercises(exercises) {
+  return exercises.filter(matchesExerciseFilter);
+}
+
+function getAnalyticsExerciseId() {
+  const exercises = getFilteredExercises(state.exercises);
+  return exercises.some((exercise) => exercise.id === state.selectedExerciseId)
+    ? state.selectedExerciseId
+    : exercises[0]?.id ?? "";
+}
+
 function hydrateExercise(record) {
   const normalized = normalizeExerciseRecord(record);
-  if (normalized.type === "reps") return new RepsExercise(normalized);
-  if (normalized.type === "weighted") return new WeightedRepsExercise(normalized);
-  return new IsometricExercise(normalized);
+  const ExerciseClass = EXERCISE_CLASSES[normalized.type] ?? IsometricExercise;
+  return new ExerciseClass(normalized);
 }
 
 function normalizeIntensity(value) {
@@ -359,67 +1263,238 @@ function getIntensityLabel(intensityPct) {
   return "Auto";
 }
 
-function buildIntensityExplanation(intensityPct, deloadActive) {
+function getBaselineFields(baseline) {
+  const { intensityPct, ...fields } = baseline ?? {};
+  return fields;
+}
+
+function buildBaselineSeries(exercise, windowStart, now) {
+  const history = [...(exercise.baselineHistory ?? [])].sort((a, b) => a.timestamp - b.timestamp);
+  const points = [];
+  const before = history.filter((entry) => entry.timestamp < windowStart).pop();
+  if (before) {
+    points.push({ x: windowStart, y: exercise.getBaselineMetric(before.baseline) });
+  }
+  history
+    .filter((entry) => entry.timestamp >= windowStart && entry.timestamp <= now)
+    .forEach((entry) => points.push({ x: entry.timestamp, y: exercise.getBaselineMetric(entry.baseline) }));
+  if (!points.length) {
+    points.push({ x: windowStart, y: exercise.getBaselineMetric() });
+  }
+  points.push({ x: now, y: exercise.getBaselineMetric() });
+  return points.filter((point) => Number.isFinite(point.y));
+}
+
+function buildSetupEntry(exercise, timestamp) {
+  const firstLog = state.logs
+    .filter((log) => log.exerciseId === exercise.id)
+    .reduce((earliest, log) => Math.min(earliest, log.timestamp), timestamp);
+  return {
+    timestamp: exercise.createdAt ?? firstLog,
+    source: "setup",
+    baseline: getBaselineFields(exercise.baseline),
+    intensityPct: exercise.baseline?.intensityPct,
+  };
+}
+
+function appendBaselineHistory(exercise, entry) {
+  const history = [...(exercise.baselineHistory ?? [])];
+  if (!history.length) history.push(buildSetupEntry(exercise, entry.timestamp));
+  history.push(entry);
+  return history;
+}
+
+async function updateExerciseBaseline(exerciseId, baselineFields, { timestamp, source, logId }) {
+  const exerciseIndex = state.exercises.findIndex((item) => item.id === exerciseId);
+  if (exerciseIndex === -1) return;
+  const exercise = state.exercises[exerciseIndex];
+  const updated = {
+    ...exercise,
+    baseline: { ...exercise.baseline, ...baselineFields },
+    baselineHistory: appendBaselineHistory(exercise, { timestamp, source, logId, baseline: baselineFields }),
+  };
+  state.exercises[exerciseIndex] = updated;
+  await dbPut("exercises", updated);
+}
+
+function getProgressionProfile(exercise, profile) {
+  const overrides = Object.fromEntries(
+    Object.entries(exercise?.progressionOverrides ?? {}).filter(([, value]) => Number.isFinite(value))
+  );
+  return { ...defaultProgression, ...(profile ?? {}), ...overrides };
+}
+
+function buildIntensityExplanation(exercise, intensityPct, deloadActive, profile, now) {
   const label = getIntensityLabel(intensityPct);
   if (deloadActive) {
-    return ["Deload active: easy sets for recovery."];
+    return [`Deload active until ${formatDateLabel(exercise.deloadUntil)}: easy sets for recovery.`];
+  }
+  const explanation = [
+    `GTG intensity: ${label}.`,
+    `Stop with ${profile.targetRirMin}-${profile.targetRirMax} reps in reserve.`,
+  ];
+  if (exercise.freezeUntil && now < exercise.freezeUntil) {
+    explanation.push(`Progression frozen after pain until ${formatDateLabel(exercise.freezeUntil)}.`);
   }
-  return [`GTG intensity: ${label}.`];
+  return explanation;
 }
 
-function getEffectiveIntensity(exercise, now) {
+function getEffectiveIntensity(exercise, now, profile = defaultProgression) {
   const baselineIntensity = normalizeIntensity(exercise.baseline?.intensityPct ?? GTG_INTENSITY_PRESETS.normal);
   const deloadActive = exercise.deloadUntil ? now < exercise.deloadUntil : false;
-  const intensityPct = deloadActive ? INTENSITY_MIN : baselineIntensity;
+  const intensityPct = deloadActive ? normalizeIntensity(baselineIntensity * profile.deloadVolumeFactor) : baselineIntensity;
   return { intensityPct, deloadActive };
 }
 
 async function adjustExerciseIntensity(exerciseId, now) {
   const exerciseIndex = state.exercises.findIndex((item) => item.id === exerciseId);
   if (exerciseIndex === -1) return;
-  const exercise = normalizeExerciseRecord(state.exercises[exerciseIndex]);
-  const logs = state.logs
-    .filter((log) => log.exerciseId === exerciseId && log.status === "complete")
+  const updated = applyEngineStep(state.exercises[exerciseIndex], state.logs, now);
+  if (!updated) return;
+  state.exercises[exerciseIndex] = updated;
+  await dbPut("exercises", updated);
+}
+
+function applyEngineStep(record, allLogs, now) {
+  const exercise = normalizeExerciseRecord(record);
+  const profile = getProgressionProfile(exercise, state.settings.progressionDefaults);
+  const logs = allLogs
+    .filter(
+      (log) =>
+        log.exerciseId === exercise.id &&
+        log.status !== "skipped" &&
+        log.kind !== "maxTest" &&
+        log.timestamp <= now
+    )
     .sort((a, b) => b.timestamp - a.timestamp)
     .slice(0, 3);
-  if (!logs.length) return;
+  if (!logs.length) return null;
 
   const deloadActive = exercise.deloadUntil ? now < exercise.deloadUntil : false;
+  const frozen = exercise.freezeUntil ? now < exercise.freezeUntil : false;
   let nextIntensity = normalizeIntensity(exercise.baseline.intensityPct);
   let nextDeloadUntil = exercise.deloadUntil ?? null;
+  let nextFreezeUntil = exercise.freezeUntil ?? null;
+  let nextTopSet = exercise.baseline.topSet;
 
   const painValues = logs.map((log) => log.pain0to10).filter((value) => value !== undefined);
   const rirValues = logs.map((log) => log.rir).filter((value) => value !== undefined);
-  const hasPainHigh = painValues.some((value) => value >= 5);
+  const hasPainHigh = painValues.some((value) => value >= profile.painReduce);
 
   if (hasPainHigh) {
     nextIntensity = INTENSITY_MIN;
-    nextDeloadUntil = now + DELOAD_DAYS * DAY_MS;
+    nextDeloadUntil = now + profile.deloadDays * DAY_MS;
   } else if (!deloadActive) {
-    const hasPainWarn = painValues.some((value) => value >= 3);
-    const hasHighEffort = logs.some((log) => log.rir !== undefined && log.rir <= 2);
-    if (hasPainWarn || hasHighEffort) {
+    const hasPainWarn = painValues.some((value) => value >= profile.painWarn);
+    const hasHighEffort = logs.some((log) => log.rir !== undefined && log.rir < profile.targetRirMin);
+    const hasRepeatedFailures = logs.filter((log) => log.status === "failed").length >= FAILURE_STREAK;
+    if (hasPainWarn || hasHighEffort || hasRepeatedFailures) {
       nextIntensity = Math.max(INTENSITY_MIN, nextIntensity - 0.05);
-    } else if (logs.length >= 3) {
-      const hasMissing = logs.some((log) => log.rir === undefined || log.pain0to10 === undefined);
+      if (hasPainWarn && profile.freezeDaysIfPain > 0) {
+        nextFreezeUntil = now + profile.freezeDaysIfPain * DAY_MS;
+      }
+    } else if (logs.length >= 3 && !frozen) {
+      const hasMissing = logs.some(
+        (log) => log.status !== "complete" || log.rir === undefined || log.pain0to10 === undefined
+      );
       const allEasy =
         !hasMissing &&
-        logs.every((log) => log.rir !== undefined && log.rir >= 5 && log.pain0to10 !== undefined && log.pain0to10 <= 2);
+        logs.every(
+          (log) =>
+            log.rir !== undefined &&
+            log.rir >= profile.targetRirMax &&
+            log.pain0to10 !== undefined &&
+            log.pain0to10 < profile.painWarn
+        );
       if (allEasy && rirValues.length && painValues.length) {
-        nextIntensity = Math.min(INTENSITY_MAX, nextIntensity + 0.02);
+        const lastBump = (exercise.baselineHistory ?? [])
+          .filter((entry) => entry.source === "loadBump")
+          .reduce((latest, entry) => Math.max(latest, entry.timestamp), 0);
+        if (exercise.type === "weighted" && nextTopSet) {
+          if (logs.every((log) => log.timestamp > lastBump)) {
+            nextTopSet = { ...nextTopSet, loadKg: (nextTopSet.loadKg ?? 0) + exercise.loadIncrementKg };
+          }
+        } else {
+          nextIntensity = Math.min(INTENSITY_MAX, nextIntensity + 0.02);
+        }
       }
     }
   }
 
-  if (nextIntensity !== exercise.baseline.intensityPct || nextDeloadUntil !== exercise.deloadUntil) {
+  if (
+    nextIntensity !== exercise.baseline.intensityPct ||
+    nextDeloadUntil !== exercise.deloadUntil ||
+    nextFreezeUntil !== exercise.freezeUntil ||
+    nextTopSet !== exercise.baseline.topSet
+  ) {
     const updated = {
       ...exercise,
-      baseline: { ...exercise.baseline, intensityPct: nextIntensity },
+      baseline: { ...exercise.baseline, intensityPct: nextIntensity, ...(nextTopSet ? { topSet: nextTopSet } : {}) },
       deloadUntil: nextDeloadUntil,
+      freezeUntil: nextFreezeUntil,
+      baselineHistory: exercise.baselineHistory.length ? exercise.baselineHistory : [buildSetupEntry(exercise, now)],
     };
-    state.exercises[exerciseIndex] = updated;
-    await dbPut("exercises", updated);
+    if (nextTopSet !== exercise.baseline.topSet) {
+      updated.baselineHistory = appendBaselineHistory(exercise, {
+        timestamp: now,
+        source: "loadBump",
+        baseline: { topSet: nextTopSet },
+      });
+    }
+    return updated;
+  }
+  return null;
+}
+
+function triggersEngineStep(log) {
+  return log.kind !== "maxTest" && log.status !== "skipped" && !log.pendingCheck;
+}
+
+function applyBaselineEntry(exercise, entry) {
+  return {
+    ...exercise,
+    baseline: {
+      ...exercise.baseline,
+      ...entry.baseline,
+      ...(entry.intensityPct !== undefined ? { intensityPct: entry.intensityPct } : {}),
+    },
+    baselineHistory: [...exercise.baselineHistory, entry],
+  };
+}
+
+async function replayExerciseEngine(exerciseId) {
+  const exerciseIndex = state.exercises.findIndex((item) => item.id === exerciseId);
+  if (exerciseIndex === -1) return;
+  const record = normalizeExerciseRecord(state.exercises[exerciseIndex]);
+  const history = record.baselineHistory
+    .filter((entry) => entry.source !== "loadBump")
+    .sort((a, b) => a.timestamp - b.timestamp);
+  const setup = history.find((entry) => entry.source === "setup");
+  const pending = history.filter((entry) => entry !== setup);
+  let exercise = {
+    ...record,
+    baseline: {
+      ...(setup ? setup.baseline : getBaselineFields(record.baseline)),
+      intensityPct: normalizeIntensity(setup?.intensityPct ?? record.baseline.intensityPct),
+    },
+    baselineHistory: setup ? [setup] : [],
+    deloadUntil: null,
+    freezeUntil: null,
+  };
+  const logs = state.logs
+    .filter((log) => log.exerciseId === exerciseId)
+    .sort((a, b) => a.timestamp - b.timestamp);
+  for (const log of logs) {
+    while (pending.length && pending[0].timestamp <= log.timestamp) {
+      exercise = applyBaselineEntry(exercise, pending.shift());
+    }
+    if (triggersEngineStep(log)) exercise = applyEngineStep(exercise, logs, log.timestamp) ?? exercise;
   }
+  pending.forEach((entry) => {
+    exercise = applyBaselineEntry(exercise, entry);
+  });
+  state.exercises[exerciseIndex] = exercise;
+  await dbPut("exercises", exercise);
 }
 
 function getWeeklyVolume(logs, now, volumeFn) {
@@ -436,20 +1511,94 @@ function getWeeklyVolume(logs, now, volumeFn) {
   return { volumeThisWeek, volumePrevWeek };
 }
 
-function summarizePainFlags(logs) {
+function hasLogResult(log) {
+  return log.status === "complete" || log.status === "partial";
+}
+
+function computeCompletionRate(logs) {
+  const sets = logs.filter((log) => log.kind !== "maxTest");
+  if (!sets.length) return undefined;
+  return (sets.filter((log) => log.status === "complete").length / sets.length) * 100;
+}
+
+function summarizePainFlags(logs, windowDays) {
   const daySet = new Set();
   const deloadCount = logs.filter((log) => (log.pain0to10 ?? 0) >= 5).length;
   const freezeDays = logs.filter((log) => (log.pain0to10 ?? 0) >= 3).length;
-  logs.forEach((log) => {
-    const day = new Date(log.timestamp).toISOString().slice(0, 10);
-    daySet.add(day);
-  });
-  const activeDaysPerWeek = Math.round((daySet.size / 4) * 7);
+  logs
+    .filter((log) => log.status !== "skipped")
+    .forEach((log) => {
+      daySet.add(startOfDay(log.timestamp));
+    });
+  const activeDaysPerWeek = windowDays > 0 ? Math.round((daySet.size / windowDays) * 7) : undefined;
   return { deloadCount, freezeDays, activeDaysPerWeek };
 }
 
-function estimate1RM(reps, loadKg) {
-  return loadKg * (1 + reps / 30);
+const ONE_RM_FORMULAS = {
+  epley: {
+    label: "Epley",
+    estimate: (reps, loadKg) => loadKg * (1 + reps / 30),
+    loadFor: (oneRm, reps) => oneRm / (1 + reps / 30),
+  },
+  brzycki: {
+    label: "Brzycki",
+    estimate: (reps, loadKg) => (loadKg * 36) / (37 - Math.min(reps, 36)),
+    loadFor: (oneRm, reps) => (oneRm * (37 - Math.min(reps, 36))) / 36,
+  },
+  lombardi: {
+    label: "Lombardi",
+    estimate: (reps, loadKg) => loadKg * Math.max(reps, 1) ** 0.1,
+    loadFor: (oneRm, reps) => oneRm / Math.max(reps, 1) ** 0.1,
+  },
+  wathan: {
+    label: "Wathan",
+    estimate: (reps, loadKg) => (100 * loadKg) / (48.8 + 53.8 * Math.exp(-0.075 * reps)),
+    loadFor: (oneRm, reps) => (oneRm * (48.8 + 53.8 * Math.exp(-0.075 * reps))) / 100,
+  },
+  rir: {
+    label: "RIR-adjusted",
+    usesRir: true,
+    estimate: (reps, loadKg) => loadKg * (1 + reps / 30),
+    loadFor: (oneRm, reps) => oneRm / (1 + reps / 30),
+  },
+};
+
+function getOneRmFormula(key) {
+  return ONE_RM_FORMULAS[key] ?? ONE_RM_FORMULAS[DEFAULT_ONE_RM_FORMULA];
+}
+
+function estimate1RM(reps, loadKg, formula = DEFAULT_ONE_RM_FORMULA, rir = 0) {
+  const { estimate, usesRir } = getOneRmFormula(formula);
+  return estimate(usesRir ? reps + (rir ?? 0) : reps, loadKg);
+}
+
+function loadForReps(oneRm, reps, formula = DEFAULT_ONE_RM_FORMULA) {
+  return getOneRmFormula(formula).loadFor(oneRm, reps);
+}
+
+function estimateLog1RM(log, formula) {
+  if (!log.reps || !log.loadKg) return undefined;
+  return estimate1RM(log.reps, log.loadKg, formula, log.rir);
+}
+
+function renderOneRmFormulaOptions(selected) {
+  return Object.entries(ONE_RM_FORMULAS)
+    .map(([value, { label }]) => `<option value="${value}" ${value === selected ? "selected" : ""}>${label}</option>`)
+    .join("");
+}
+
+function speedKmh(distanceM, durationSec) {
+  return (distanceM / durationSec) * 3.6;
+}
+
+function formatDuration(totalSec) {
+  const minutes = Math.floor(totalSec / 60);
+  const seconds = Math.round(totalSec % 60);
+  return `${minutes}:${String(seconds).padStart(2, "0")}`;
+}
+
+function roundTo(value, step) {
+  return Math.round(value / step) * step;
 }
 
 function clamp(value, min, max) {
@@ -474,6 +1623,15 @@ function formatNumber(value, decimals = 1) {
   return Number(value).toFixed(decimals);
 }
 
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
 function uuid() {
   if (crypto.randomUUID) return crypto.randomUUID();
   return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, (c) => {
@@ -506,7 +1664,7 @@ function applyTheme() {
 }
 
 const dbPromise = new Promise((resolve, reject) => {
-  const request = indexedDB.open("dojo-db", 2);
+  const request = indexedDB.open("dojo-db", 3);
   request.onupgradeneeded = (event) => {
     const db = event.target.result;
     if (!db.objectStoreNames.contains("exercises")) {
@@ -520,10 +1678,15 @@ const dbPromise = new Promise((resolve, reject) => {
     if (!db.objectStoreNames.contains("templates")) {
       db.createObjectStore("templates", { keyPath: "id" });
     }
-    if (db.objectStoreNames.contains("settings")) {
+    if (event.oldVersion < 2 && db.objectStoreNames.contains("settings")) {
       db.deleteObjectStore("settings");
     }
-    db.createObjectStore("settings", { keyPath: "id" });
+    if (!db.objectStoreNames.contains("settings")) {
+      db.createObjectStore("settings", { keyPath: "id" });
+    }
+    if (!db.objectStoreNames.contains("journal")) {
+      db.createObjectStore("journal", { keyPath: "id" });
+    }
   };
   request.onsuccess = () => resolve(request.result);
   request.onerror = () => reject(request.error);
@@ -538,7 +1701,17 @@ async function dbGetAll(storeName) {
   });
 }
 
+async function dbGet(storeName, key) {
+  const db = await dbPromise;
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(storeName).objectStore(storeName).get(key);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
 async function dbPut(storeName, value, key) {
+  await trackJournalChange(storeName, key ?? value.id, value);
   const db = await dbPromise;
   return new Promise((resolve, reject) => {
     const transaction = db.transaction(storeName, "readwrite");
@@ -550,6 +1723,7 @@ async function dbPut(storeName, value, key) {
 }
 
 async function dbDelete(storeName, key) {
+  await trackJournalChange(storeName, key, undefined);
   const db = await dbPromise;
   return new Promise((resolve, reject) => {
     const transaction = db.transaction(storeName, "readwrite");
@@ -561,11 +1735,19 @@ async function dbDelete(storeName, key) {
 }
 
 async function loadStore() {
-  const [exercises, logs, templates, settings] = await Promise.all([
+  await readStores();
+  await ensureDefaults();
+  applyTheme();
+  render();
+}
+
+async function readStores() {
+  const [exercises, logs, templates, settings, journal] = await Promise.all([
     dbGetAll("exercises"),
     dbGetAll("logs"),
     dbGetAll("templates"),
     dbGetAll("settings"),
+    dbGetAll("journal"),
   ]);
   state.exercises = [];
   for (const record of exercises) {
@@ -577,10 +1759,8 @@ async function loadStore() {
   }
   state.logs = logs.sort((a, b) => b.timestamp - a.timestamp);
   state.templates = templates;
+  state.journal = journal.sort((a, b) => a.timestamp - b.timestamp);
   state.settings = settings.find((item) => item.id === "app")?.value ?? defaultSettings;
-  await ensureDefaults();
-  applyTheme();
-  render();
 }
 
 async function saveSettings(settings) {
@@ -590,6 +1770,117 @@ async function saveSettings(settings) {
   render();
 }
 
+let activeJournal = null;
+
+async function journaled(label, mutate) {
+  if (activeJournal) return mutate();
+  activeJournal = { label, changes: [] };
+  try {
+    return await mutate();
+  } finally {
+    const { changes } = activeJournal;
+    activeJournal = null;
+    if (changes.length) await commitJournalEntry(label, changes);
+  }
+}
+
+async function trackJournalChange(storeName, key, after) {
+  if (!activeJournal || storeName === "journal") return;
+  let change = activeJournal.changes.find((item) => item.store === storeName && item.key === key);
+  if (!change) {
+    change = { store: storeName, key, before: await dbGet(storeName, key) };
+    activeJournal.changes.push(change);
+  }
+  change.after = after === undefined ? undefined : structuredClone(after);
+}
+
+async function commitJournalEntry(label, changes) {
+  const redoable = state.journal.filter((entry) => entry.undone);
+  const kept = state.journal.filter((entry) => !entry.undone);
+  const entry = { id: uuid(), timestamp: Date.now(), label, changes, undone: false };
+  const dropped = [...redoable, ...kept.slice(0, Math.max(0, kept.length + 1 - JOURNAL_LIMIT))];
+  for (const item of dropped) {
+    await dbDelete("journal", item.id);
+  }
+  await dbPut("journal", entry);
+  state.journal = [...kept.filter((item) => !dropped.includes(item)), entry];
+}
+
+async function applyJournalValues(changes, side) {
+  for (const change of changes) {
+    const value = change[side];
+    if (value === undefined) {
+      await dbDelete(change.store, change.key);
+    } else {
+      await dbPut(change.store, value);
+    }
+  }
+}
+
+async function hasUntrackedWrite(changes, side) {
+  for (const change of changes) {
+    const current = await dbGet(change.store, change.key);
+    if (JSON.stringify(current) !== JSON.stringify(change[side])) return true;
+  }
+  return false;
+}
+
+async function undoJournal(untilId) {
+  const done = state.journal.filter((entry) => !entry.undone).reverse();
+  const stop = untilId ? done.findIndex((entry) => entry.id === untilId) : 0;
+  if (!done.length || stop === -1) {
+    toast("Nothing to undo.");
+    return;
+  }
+  let steps = 0;
+  let blocked = null;
+  for (const entry of done.slice(0, stop + 1)) {
+    if (await hasUntrackedWrite(entry.changes, "after")) {
+      blocked = entry;
+      break;
+    }
+    await applyJournalValues([...entry.changes].reverse(), "before");
+    entry.undone = true;
+    await dbPut("journal", entry);
+    steps += 1;
+  }
+  await readStores();
+  applyTheme();
+  if (blocked) {
+    toast(`${steps ? `Undid ${steps} ${steps === 1 ? "step" : "steps"}. ` : ""}Can't undo "${blocked.label}": it was changed again outside History.`);
+    return;
+  }
+  toast(stop ? `Undid ${stop + 1} steps.` : `Undid: ${done[0].label}`);
+}
+
+async function redoJournal(untilId) {
+  const undone = state.journal.filter((entry) => entry.undone);
+  const stop = untilId ? undone.findIndex((entry) => entry.id === untilId) : 0;
+  if (!undone.length || stop === -1) {
+    toast("Nothing to redo.");
+    return;
+  }
+  let steps = 0;
+  let blocked = null;
+  for (const entry of undone.slice(0, stop + 1)) {
+    if (await hasUntrackedWrite(entry.changes, "before")) {
+      blocked = entry;
+      break;
+    }
+    await applyJournalValues(entry.changes, "after");
+    entry.undone = false;
+    await dbPut("journal", entry);
+    steps += 1;
+  }
+  await readStores();
+  applyTheme();
+  if (blocked) {
+    toast(`${steps ? `Redid ${steps} ${steps === 1 ? "step" : "steps"}. ` : ""}Can't redo "${blocked.label}": it was changed again outside History.`);
+    return;
+  }
+  toast(stop ? `Redid ${stop + 1} steps.` : `Redid: ${undone[0].label}`);
+}
+
 async function ensureDefaults() {
   if (state.exercises.length > 0) return;
   const starterExercises = [
@@ -637,6 +1928,181 @@ async function ensureDefaults() {
   }
 }
 
+function getScheduleSettings() {
+  return { ...defaultSchedule, ...(state.settings.schedule ?? {}) };
+}
+
+function parseTimeOfDay(value) {
+  const [hours, minutes] = String(value ?? "").split(":").map(Number);
+  if (!Number.isFinite(hours) || !Number.isFinite(minutes)) return null;
+  return (hours * 60 + minutes) * 60 * 1000;
+}
+
+function startOfDay(timestamp) {
+  const date = new Date(timestamp);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+function shiftDay(day, offset) {
+  const date = new Date(day);
+  date.setDate(date.getDate() + offset);
+  return startOfDay(date.getTime());
+}
+
+function skipQuietHours(timestamp, schedule) {
+  const quietStart = parseTimeOfDay(schedule.quietStart);
+  const quietEnd = parseTimeOfDay(schedule.quietEnd);
+  if (quietStart === null || quietEnd === null || quietStart === quietEnd) return timestamp;
+  const dayStart = startOfDay(timestamp);
+  const offset = timestamp - dayStart;
+  if (quietStart < quietEnd) {
+    return offset >= quietStart && offset < quietEnd ? dayStart + quietEnd : timestamp;
+  }
+  if (offset >= quietStart) return dayStart + DAY_MS + quietEnd;
+  if (offset < quietEnd) return dayStart + quietEnd;
+  return timestamp;
+}
+
+function computeNextSetDue(exerciseId, now) {
+  const schedule = getScheduleSettings();
+  const goal = Math.max(1, schedule.setsPerDay || 1);
+  const dayStart = startOfDay(now);
+  const wakeStart = dayStart + (parseTimeOfDay(schedule.wakeStart) ?? parseTimeOfDay(defaultSchedule.wakeStart));
+  const wakeEnd = dayStart + (parseTimeOfDay(schedule.wakeEnd) ?? parseTimeOfDay(defaultSchedule.wakeEnd));
+  const anchor = Math.max(wakeStart, schedule.enabledAt ?? 0);
+  const interval = Math.max(wakeEnd - anchor, 60 * 1000) / goal;
+  const todayLogs = state.logs.filter(
+    (log) => log.exerciseId === exerciseId && log.kind !== "maxTest" && log.timestamp >= dayStart
+  );
+  const done = todayLogs.length;
+  let dueAt;
+  if (done >= goal) {
+    dueAt = wakeStart + DAY_MS;
+  } else {
+    dueAt = anchor + done * interval;
+    const lastLog = todayLogs.reduce((latest, log) => Math.max(latest, log.timestamp), 0);
+    if (lastLog) dueAt = Math.max(dueAt, lastLog + interval / 2);
+    if (dueAt > wakeEnd) dueAt = wakeStart + DAY_MS;
+  }
+  const record = state.exercises.find((exercise) => exercise.id === exerciseId);
+  if (record) dueAt = Math.max(dueAt, hydrateExercise(record).getNextAvailableAt(state.logs));
+  dueAt = skipQuietHours(dueAt, schedule);
+  const snoozedUntil = schedule.snoozes?.[exerciseId];
+  if (snoozedUntil && snoozedUntil > dueAt) dueAt = snoozedUntil;
+  return { dueAt, done, goal, snoozed: Boolean(snoozedUntil && snoozedUntil >= dueAt) };
+}
+
+function getScheduledExercises() {
+  const schedule = getScheduleSettings();
+  if (!schedule.enabled) return [];
+  return getActiveExercises().filter((exercise) => schedule.exerciseIds.includes(exercise.id));
+}
+
+function formatCountdown(dueAt, now) {
+  const remaining = dueAt - now;
+  if (remaining <= 0) return "due now";
+  if (remaining < 60 * 60 * 1000) return `in ${Math.ceil(remaining / 60000)} min`;
+  const time = new Date(dueAt).toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" });
+  return startOfDay(dueAt) === startOfDay(now) ? `at ${time}` : `tomorrow at ${time}`;
+}
+
+function formatAvailability(availableAt, now) {
+  const remaining = availableAt - now;
+  if (remaining <= 0) return "Ready for the next set.";
+  return `Next available in ${Math.ceil(remaining / 60000)} min.`;
+}
+
+function buildReminders(now) {
+  const schedule = getScheduleSettings();
+  return getScheduledExercises().map((exercise) => {
+    const { dueAt, done, goal } = computeNextSetDue(exercise.id, now);
+    return {
+      id: `gtg-${exercise.id}`,
+      exerciseId: exercise.id,
+      at: dueAt,
+      title: `Time for ${exercise.name}`,
+      body: done >= goal ? "Daily goal done. See you tomorrow." : `Set ${done + 1} of ${goal}. Keep it crisp.`,
+      snoozeMinutes: schedule.snoozeMinutes,
+    };
+  });
+}
+
+let lastReminderPayload = "";
+const firedReminders = new Set();
+
+function canScheduleReminders() {
+  return "Notification" in window && "showTrigger" in Notification.prototype && "TimestampTrigger" in window;
+}
+
+function syncReminders() {
+  if (!("serviceWorker" in navigator) || !canScheduleReminders()) return;
+  if (Notification.permission !== "granted") return;
+  const reminders = buildReminders(Date.now()).filter((reminder) => reminder.at > Date.now());
+  const payload = JSON.stringify(reminders);
+  if (payload === lastReminderPayload) return;
+  lastReminderPayload = payload;
+  navigator.serviceWorker.ready.then((registration) => {
+    registration.active?.postMessage({ type: "schedule-reminders", reminders });
+  });
+}
+
+function tickSchedule() {
+  const now = Date.now();
+  document.querySelectorAll("[data-due-at]").forEach((element) => {
+    element.textContent = formatCountdown(Number(element.dataset.dueAt), now);
+  });
+  document.querySelectorAll("[data-available-at]").forEach((element) => {
+    element.textContent = formatAvailability(Number(element.dataset.availableAt), now);
+  });
+  if (!("serviceWorker" in navigator) || !("Notification" in window) || canScheduleReminders()) return;
+  if (Notification.permission !== "granted") return;
+  buildReminders(now)
+    .filter((reminder) => reminder.at <= now && !firedReminders.has(`${reminder.id}-${reminder.at}`))
+    .forEach((reminder) => {
+      firedReminders.add(`${reminder.id}-${reminder.at}`);
+      navigator.serviceWorker.ready.then((registration) => {
+        registration.showNotification(reminder.title, {
+          body: reminder.body,
+          tag: reminder.id,
+          icon: "./icons/icon-192.svg",
+          data: reminder,
+          actions: [{ action: "snooze", title: `Snooze ${reminder.snoozeMinutes} min` }],
+        });
+      });
+    });
+}
+
+async function snoozeExercise(exerciseId, until) {
+  const schedule = getScheduleSettings();
+  const now = Date.now();
+  const snoozes = Object.fromEntries(Object.entries(schedule.snoozes ?? {}).filter(([, value]) => value > now));
+  snoozes[exerciseId] = until ?? now + schedule.snoozeMinutes * 60 * 1000;
+  await saveSettings({ ...state.settings, schedule: { ...schedule, snoozes } });
+}
+
+async function skipScheduledSet(exerciseId) {
+  const log = { id: uuid(), timestamp: Date.now(), exerciseId, status: "skipped" };
+  await journaled("Skip set", () => dbPut("logs", log));
+  state.logs.unshift(log);
+  toast("Set skipped.");
+  render();
+}
+
+async function saveSchedule(changes) {
+  await saveSettings({ ...state.settings, schedule: { ...getScheduleSettings(), ...changes } });
+}
+
+async function requestNotifications() {
+  if (!("Notification" in window)) {
+    toast("Notifications are not supported on this device.");
+    return;
+  }
+  const permission = await Notification.requestPermission();
+  toast(permission === "granted" ? "Reminders enabled." : "Notifications are blocked.");
+  render();
+}
+
 function renderHeader() {
   return `
     <header class="app-header">
@@ -662,22 +2128,128 @@ function renderTabBar() {
 function formatTarget(target) {
   if (target.metricType === "reps") return `${target.reps ?? 0} reps`;
   if (target.metricType === "weightedReps") return `${target.reps ?? 0} reps @ ${target.loadKg ?? 0} kg`;
+  if (target.metricType === "distance") return `${target.distanceM ?? 0} m in ${formatDuration(target.durationSec ?? 0)}`;
+  if (target.metricType === "interval") {
+    return `${target.rounds ?? 0} × ${target.workSec ?? 0}s on / ${target.restSec ?? 0}s off`;
+  }
+  if (target.metricType === "carry") return `${target.loadKg ?? 0} kg × ${target.distanceM ?? 0} m`;
   return `${target.durationSec ?? 0} sec`;
 }
 
 function formatLog(log) {
-  if (log.durationSec) return `${log.durationSec} sec`;
-  if (log.loadKg) return `${log.reps ?? 0} reps @ ${log.loadKg} kg`;
-  return `${log.reps ?? 0} reps`;
+  if (log.status === "skipped") return "Skipped";
+  const statusPrefix = log.status === "partial" || log.status === "failed" ? `${LOG_STATUS_LABELS[log.status]}: ` : "";
+  const prefix = `${log.kind === "maxTest" ? "Max test: " : ""}${statusPrefix}`;
+  if (log.rounds) return `${prefix}${log.rounds} × ${log.workSec ?? 0}s on / ${log.restSec ?? 0}s off`;
+  if (log.distanceM && log.loadKg) return `${prefix}${log.loadKg} kg × ${log.distanceM} m`;
+  if (log.distanceM) return `${prefix}${log.distanceM} m in ${formatDuration(log.durationSec ?? 0)}`;
+  if (log.durationSec) return `${prefix}${log.durationSec} sec`;
+  if (log.loadKg) return `${prefix}${log.reps ?? 0} reps @ ${log.loadKg} kg`;
+  return `${prefix}${log.reps ?? 0} reps`;
+}
+
+function defaultVariantValue(field) {
+  if (field.type === "boolean") return false;
+  if (field.type === "select") return field.options?.[0] ?? "";
+  if (field.type === "number") return null;
+  return "";
+}
+
+function getVariantDefaults(exercise) {
+  const schema = exercise.variantsSchema ?? [];
+  if (!schema.length) return undefined;
+  const lastLog = state.logs
+    .filter((log) => log.exerciseId === exercise.id && log.variants)
+    .reduce((latest, log) => (!latest || log.timestamp > latest.timestamp ? log : latest), null);
+  return Object.fromEntries(schema.map((field) => [field.key, lastLog?.variants?.[field.key] ?? defaultVariantValue(field)]));
+}
+
+function formatVariantValue(field, value) {
+  if (field.type === "boolean") return value ? "yes" : "no";
+  if (value === null || value === undefined || value === "") return "—";
+  return String(value);
+}
+
+function formatVariants(log) {
+  const schema = state.exercises.find((item) => item.id === log.exerciseId)?.variantsSchema ?? [];
+  if (!log.variants || !schema.length) return "";
+  return schema.map((field) => `${field.label}: ${formatVariantValue(field, log.variants[field.key])}`).join(" · ");
+}
+
+function renderPainRegionSelect(region, attrs) {
+  return `
+    <select ${attrs}>
+      <option value="">No region</option>
+      ${Object.entries(PAIN_REGIONS).map(([value, label]) => `<option value="${value}" ${value === region ? "selected" : ""}>${label}</option>`).join("")}
+    </select>
+  `;
+}
+
+function renderStatusSelect(status, scope, statuses = ["complete", "partial", "failed"]) {
+  return `
+    <select ${scope}>
+      ${statuses.map((value) => `<option value="${value}" ${value === status ? "selected" : ""}>${LOG_STATUS_LABELS[value]}</option>`).join("")}
+    </select>
+  `;
+}
+
+function renderVariantInputs(exercise, variants, scope) {
+  return (exercise.variantsSchema ?? [])
+    .map((field) => {
+      const value = variants?.[field.key] ?? defaultVariantValue(field);
+      if (field.type === "boolean") {
+        return `
+          <label class="field-inline">
+            <input type="checkbox" ${value ? "checked" : ""} ${scope} data-variant-key="${field.key}" />
+            ${escapeHtml(field.label)}
+          </label>
+        `;
+      }
+      if (field.type === "select") {
+        return `
+          <label class="field">${escapeHtml(field.label)}
+            <select ${scope} data-variant-key="${field.key}">
+              ${(field.options ?? []).map((option) => `<option value="${escapeHtml(option)}" ${option === value ? "selected" : ""}>${escapeHtml(option)}</option>`).join("")}
+            </select>
+          </label>
+        `;
+      }
+      return `
+        <label class="field">${escapeHtml(field.label)}
+          <input type="${field.type === "number" ? "number" : "text"}" value="${escapeHtml(value)}" ${scope} data-variant-key="${field.key}" />
+        </label>
+      `;
+    })
+    .join("");
+}
+
+function bindVariantInputs(container, exercises, scopeAttr, getLog) {
+  container.querySelectorAll(`[data-variant-key][${scopeAttr}]`).forEach((input) => {
+    input.onchange = (event) => {
+      const log = getLog(Number(event.target.getAttribute(scopeAttr)));
+      const field = exercises
+        .find((exercise) => exercise.id === log.exerciseId)
+        ?.variantsSchema?.find((item) => item.key === event.target.dataset.variantKey);
+      if (!field) return;
+      let value = event.target.value;
+      if (field.type === "boolean") value = event.target.checked;
+      if (field.type === "number") value = value === "" ? null : Number(value);
+      log.variants = { ...log.variants, [field.key]: value };
+    };
+  });
 }
 
 function renderToday() {
   const exercises = state.exercises.map(hydrateExercise);
-  const selectedExerciseId = state.selectedExerciseId ?? state.exercises[0]?.id ?? "";
+  const activeExercises = getFilteredExercises(getActiveExercises());
+  const selectedExerciseId = activeExercises.some((exercise) => exercise.id === state.selectedExerciseId)
+    ? state.selectedExerciseId
+    : activeExercises[0]?.id ?? "";
   const selectedTemplateId = state.selectedTemplateId ?? state.templates[0]?.id ?? "";
   const hasExercises = state.exercises.length > 0;
   const hasTemplates = state.templates.length > 0;
-  const templateItems = state.templates.find((template) => template.id === selectedTemplateId)?.items ?? [];
+  const selectedTemplate = state.templates.find((template) => template.id === selectedTemplateId);
+  const templateItems = selectedTemplate?.items ?? [];
   const isTemplateMode = state.mode === "template";
 
   const selectionExercises = isTemplateMode
@@ -699,10 +2271,15 @@ function renderToday() {
     const autoTarget = exercise.computeNextTarget(logs, {
       now: Date.now(),
       profile: state.settings.progressionDefaults,
+      strategy: templateItem?.strategy,
     });
     const target =
       templateItem?.targetMode === "fixed" && templateItem.fixedTarget
-        ? { ...templateItem.fixedTarget, explanation: ["Fixed target from template."] }
+        ? {
+            ...templateItem.fixedTarget,
+            explanation: ["Fixed target from template."],
+            volumeBudget: autoTarget.volumeBudget,
+          }
         : autoTarget;
     return { exercise, target };
   });
@@ -710,13 +2287,30 @@ function renderToday() {
   const todayLogs = state.logs.filter(
     (log) => new Date(log.timestamp).toDateString() === new Date().toDateString()
   );
+  const scheduled = getScheduledExercises().map((exercise) => ({
+    exercise,
+    ...computeNextSetDue(exercise.id, Date.now()),
+  }));
+  const baselineSuggestions = exercises
+    .map((exercise) => ({
+      exercise,
+      suggestion: exercise.suggestBaseline(
+        state.logs.filter((log) => log.exerciseId === exercise.id),
+        Date.now()
+      ),
+    }))
+    .filter((item) => item.suggestion);
   const canLog = nextTargets.length > 0;
   const emptyMessage = !hasExercises
     ? "No exercises yet. Add one in Settings to start logging."
-    : "Create an exercise or template to get started.";
+    : !isTemplateMode && activeExercises.length === 0
+      ? "No exercises match the category and tag filters."
+      : "Create an exercise or template to get started.";
 
+  const setsDone = todayLogs.filter((log) => log.status !== "skipped").length;
+  const lastJournalEntry = state.journal.filter((entry) => !entry.undone).pop();
   const progressWidth = state.settings.dailySetGoal
-    ? Math.min(100, (todayLogs.length / state.settings.dailySetGoal) * 100)
+    ? Math.min(100, (setsDone / state.settings.dailySetGoal) * 100)
     : 0;
 
   return `
@@ -729,14 +2323,16 @@ function renderToday() {
         ${isTemplateMode ? `
           <label class="field">Template
             <select data-field="template">
-              ${state.templates.map((template) => `<option value="${template.id}" ${template.id === selectedTemplateId ? "selected" : ""}>${template.name}</option>`).join("")}
+              ${state.templates.map((template) => `<option value="${template.id}" ${template.id === selectedTemplateId ? "selected" : ""}>${escapeHtml(template.name)}</option>`).join("")}
             </select>
           </label>
           ${hasTemplates ? "" : `<p class="muted">No templates yet. Create one to get started.</p>`}
+          ${selectedTemplate && formatTemplateIssues(selectedTemplate) ? `<p class="muted">⚠ ${formatTemplateIssues(selectedTemplate)}</p>` : ""}
         ` : `
+          ${hasExercises ? renderExerciseFilters() : ""}
           <label class="field">Exercise
             <select data-field="exercise">
-              ${state.exercises.map((exercise) => `<option value="${exercise.id}" ${exercise.id === selectedExerciseId ? "selected" : ""}>${exercise.name}</option>`).join("")}
+              ${activeExercises.map((exercise) => `<option value="${exercise.id}" ${exercise.id === selectedExerciseId ? "selected" : ""}>${escapeHtml(exercise.name)}</option>`).join("")}
             </select>
           </label>
           ${hasExercises ? "" : `<p class="muted">No exercises yet. Add one to get started.</p>`}
@@ -750,12 +2346,21 @@ function renderToday() {
             ${nextTargets.map(({ exercise, target }) => `
               <div class="next-set-item">
                 <div>
-                  <h3>${exercise.name}</h3>
+                  <h3>${escapeHtml(exercise.name)}</h3>
                   <p class="kpi">${formatTarget(target)}</p>
+                  ${exercise.notes ? `<p class="cue">${escapeHtml(exercise.notes)}</p>` : ""}
                 </div>
                 <ul>
                   ${target.explanation.map((item) => `<li>${item}</li>`).join("")}
                 </ul>
+                ${renderVolumeBudget(exercise, target.volumeBudget)}
+                ${renderAvailability(exercise)}
+                <div class="button-row">
+                  ${exercise.getPrimaryMetricType() === "isometric" ? `
+                    <button class="btn secondary" data-hold-timer="${exercise.id}" data-hold-target="${target.durationSec ?? 0}">Start timer</button>
+                  ` : ""}
+                  <button class="btn ghost" data-max-test="${exercise.id}">Max test</button>
+                </div>
               </div>
             `).join("")}
           </div>
@@ -763,16 +2368,57 @@ function renderToday() {
         <div class="button-row">
           <button class="btn primary" data-action="quick-log" ${canLog ? "" : "disabled"}>Quick Log</button>
           <button class="btn secondary" data-action="detail-log" ${canLog ? "" : "disabled"}>Detailed Log</button>
-          <button class="btn ghost" data-action="undo-log" ${state.logs.length ? "" : "disabled"}>Undo last log</button>
+          <button class="btn ghost" data-action="bulk-log" ${hasExercises ? "" : "disabled"}>Bulk entry</button>
+          <button class="btn ghost" data-action="undo" ${lastJournalEntry ? `title="Undo ${lastJournalEntry.label}"` : "disabled"}>Undo</button>
         </div>
       </section>
 
+      ${scheduled.length ? `
+        <section class="card">
+          <h2>Schedule</h2>
+          <div class="log-list">
+            ${scheduled.map(({ exercise, dueAt, done, goal, snoozed }) => `
+              <div class="log-item">
+                <div>
+                  <strong>${escapeHtml(exercise.name)}</strong>
+                  <div class="muted">${done}/${goal} sets · next ${snoozed ? "(snoozed) " : ""}<span data-due-at="${dueAt}">${formatCountdown(dueAt, Date.now())}</span></div>
+                </div>
+                <div class="button-row">
+                  <button class="btn ghost" data-snooze="${exercise.id}">Snooze</button>
+                  <button class="btn ghost" data-skip-set="${exercise.id}">Skip</button>
+                </div>
+              </div>
+            `).join("")}
+          </div>
+        </section>
+      ` : ""}
+
+      ${baselineSuggestions.length ? `
+        <section class="card">
+          <h2>Baseline Check</h2>
+          <div class="log-list">
+            ${baselineSuggestions.map(({ exercise, suggestion }) => `
+              <div class="log-item">
+                <div>
+                  <strong>${escapeHtml(exercise.name)}</strong>
+                  <div class="muted">Your baseline looks stale: ${exercise.formatBaseline()} → ${exercise.formatBaseline(suggestion.baseline)}</div>
+                </div>
+                <div class="button-row">
+                  <button class="btn secondary" data-accept-baseline="${exercise.id}">Accept</button>
+                  <button class="btn ghost" data-dismiss-baseline="${exercise.id}">Dismiss</button>
+                </div>
+              </div>
+            `).join("")}
+          </div>
+        </section>
+      ` : ""}
+
       <section class="card">
         <h2>Today Summary</h2>
         <div class="summary-grid">
           <div>
             <p class="label">Sets Done</p>
-            <p class="kpi">${todayLogs.length}</p>
+            <p class="kpi">${setsDone}</p>
           </div>
           <div>
             <p class="label">Daily Goal</p>
@@ -787,19 +2433,30 @@ function renderToday() {
         </div>
       </section>
 
+      <section class="card">
+        <h2>Consistency</h2>
+        ${renderCalendar()}
+      </section>
+
       <section class="card">
         <h2>Today Logs</h2>
         ${todayLogs.length === 0 ? `<p class="muted">No sets yet. Hit Quick Log to get started.</p>` : `
+          ${renderLogSearch()}
           <div class="log-list">
             ${todayLogs.map((log) => {
               const exercise = state.exercises.find((item) => item.id === log.exerciseId);
               return `
-                <div class="log-item">
+                <div class="log-item" data-log-id="${log.id}">
                   <div>
-                    <strong>${exercise?.name ?? "Unknown"}</strong>
+                    <strong>${escapeHtml(exercise?.name ?? "Unknown")}</strong>
                     <div class="muted">${formatLog(log)}</div>
+                    ${formatVariants(log) ? `<div class="muted">${escapeHtml(formatVariants(log))}</div>` : ""}
+                    ${log.notes ? `<div class="muted">“${escapeHtml(log.notes)}”</div>` : ""}
+                  </div>
+                  <div class="button-row">
+                    <button class="btn ghost" data-edit-log="${log.id}">Edit</button>
+                    <button class="btn ghost" data-delete-log="${log.id}">Delete</button>
                   </div>
-                  <button class="btn ghost" data-delete-log="${log.id}">Delete</button>
                 </div>
               `;
             }).join("")}
@@ -810,10 +2467,209 @@ function renderToday() {
   `;
 }
 
+function getDailySetCounts() {
+  const counts = new Map();
+  state.logs
+    .filter((log) => log.status !== "skipped")
+    .forEach((log) => {
+      const day = startOfDay(log.timestamp);
+      counts.set(day, (counts.get(day) ?? 0) + 1);
+    });
+  return counts;
+}
+
+function isDailyGoalMet(count) {
+  const goal = state.settings.dailySetGoal;
+  return goal > 0 ? count >= goal : count > 0;
+}
+
+function computeStreaks(counts, now) {
+  const metDays = [...counts.keys()].filter((day) => isDailyGoalMet(counts.get(day))).sort((a, b) => a - b);
+  let longest = 0;
+  let run = 0;
+  metDays.forEach((day, index) => {
+    run = index > 0 && shiftDay(metDays[index - 1], 1) === day ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+  let current = 0;
+  let day = startOfDay(now);
+  if (!isDailyGoalMet(counts.get(day) ?? 0)) day = shiftDay(day, -1);
+  while (isDailyGoalMet(counts.get(day) ?? 0)) {
+    current += 1;
+    day = shiftDay(day, -1);
+  }
+  return { current, longest };
+}
+
+function getCalendarLevel(count) {
+  if (!count) return 0;
+  if (isDailyGoalMet(count)) return 3;
+  return count * 2 >= state.settings.dailySetGoal ? 2 : 1;
+}
+
+function renderCalendarDay(day, counts, today) {
+  const count = counts.get(day) ?? 0;
+  const label = `${new Date(day).toLocaleDateString()}: ${count} ${count === 1 ? "set" : "sets"}`;
+  return `
+    <button class="calendar-day level-${getCalendarLevel(count)} ${day === today ? "today" : ""}" data-calendar-day="${day}" title="${label}" aria-label="${label}" ${day > today ? "disabled" : ""}></button>
+  `;
+}
+
+function renderCalendar() {
+  const now = Date.now();
+  const today = startOfDay(now);
+  const counts = getDailySetCounts();
+  const streaks = computeStreaks(counts, now);
+  const view = state.calendarView === "year" ? "year" : "month";
+  const mondayOffset = (day) => (new Date(day).getDay() + 6) % 7;
+  let heading;
+  let grid;
+  if (view === "month") {
+    const monthDate = new Date(today);
+    monthDate.setDate(1);
+    monthDate.setMonth(monthDate.getMonth() + (state.calendarMonthOffset ?? 0));
+    const first = startOfDay(monthDate.getTime());
+    const days = [];
+    for (let day = first; new Date(day).getMonth() === monthDate.getMonth(); day = shiftDay(day, 1)) {
+      days.push(day);
+    }
+    const metCount = days.filter((day) => day <= today && isDailyGoalMet(counts.get(day) ?? 0)).length;
+    const elapsed = days.filter((day) => day <= today).length;
+    heading = `${monthDate.toLocaleDateString(undefined, { month: "long", year: "numeric" })} · goal met ${metCount}/${elapsed} ${elapsed === 1 ? "day" : "days"}`;
+    grid = `
+      <div class="calendar-month">
+        ${["M", "T", "W", "T", "F", "S", "S"].map((label) => `<span class="calendar-weekday">${label}</span>`).join("")}
+        ${Array.from({ length: mondayOffset(first) }, () => `<span></span>`).join("")}
+        ${days.map((day) => renderCalendarDay(day, counts, today)).join("")}
+      </div>
+    `;
+  } else {
+    const start = shiftDay(today, -(52 * 7 + mondayOffset(today)));
+    const days = [];
+    for (let day = start; day <= today; day = shiftDay(day, 1)) {
+      days.push(day);
+    }
+    const metCount = days.filter((day) => isDailyGoalMet(counts.get(day) ?? 0)).length;
+    heading = `Last 12 months · goal met ${metCount} ${metCount === 1 ? "day" : "days"}`;
+    grid = `
+      <div class="calendar-year">
+        ${days.map((day) => renderCalendarDay(day, counts, today)).join("")}
+      </div>
+    `;
+  }
+  return `
+    <div class="stats-grid">
+      <div class="stat"><span class="label">Current streak</span><span class="kpi">${streaks.current} ${streaks.current === 1 ? "day" : "days"}</span></div>
+      <div class="stat"><span class="label">Longest streak</span><span class="kpi">${streaks.longest} ${streaks.longest === 1 ? "day" : "days"}</span></div>
+    </div>
+    <div class="mode-switch">
+      <button class="mode-button ${view === "month" ? "active" : ""}" data-calendar-view="month">Month</button>
+      <button class="mode-button ${view === "year" ? "active" : ""}" data-calendar-view="year">Year</button>
+    </div>
+    <div class="calendar-header">
+      ${view === "month" ? `<button class="btn ghost" data-calendar-shift="-1" aria-label="Previous month">←</button>` : ""}
+      <span class="muted">${heading}</span>
+      ${view === "month" ? `<button class="btn ghost" data-calendar-shift="1" aria-label="Next month" ${(state.calendarMonthOffset ?? 0) >= 0 ? "disabled" : ""}>→</button>` : ""}
+    </div>
+    ${grid}
+    <p class="muted">${state.settings.dailySetGoal > 0 ? `Darkest days hit the goal of ${state.settings.dailySetGoal} ${state.settings.dailySetGoal === 1 ? "set" : "sets"}.` : "Streaks count days with at least one set."} Tap a day to see its logs.</p>
+  `;
+}
+
+function openDayLogs(day) {
+  const logs = state.logs
+    .filter((log) => startOfDay(log.timestamp) === day)
+    .sort((a, b) => a.timestamp - b.timestamp);
+  const modal = openModal({
+    title: new Date(day).toLocaleDateString(undefined, { weekday: "long", month: "long", day: "numeric" }),
+    body: logs.length === 0 ? `<p class="muted">No sets logged this day.</p>` : `
+      <div class="log-list">
+        ${logs.map((log) => {
+          const exercise = state.exercises.find((item) => item.id === log.exerciseId);
+          return `
+            <div class="log-item">
+              <div>
+                <strong>${escapeHtml(exercise?.name ?? "Unknown")}</strong>
+                <div class="muted">${new Date(log.timestamp).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })} · ${formatLog(log)}</div>
+                ${log.notes ? `<div class="muted">“${escapeHtml(log.notes)}”</div>` : ""}
+              </div>
+              <button class="btn ghost" data-day-edit-log="${log.id}">Edit</button>
+            </div>
+          `;
+        }).join("")}
+      </div>
+    `,
+    footer: `<button class="btn ghost" data-day-action="close">Close</button>`,
+  });
+  modal.querySelectorAll("[data-day-edit-log]").forEach((button) => {
+    button.onclick = () => openEditLog(button.dataset.dayEditLog);
+  });
+  modal.querySelector("button[data-day-action=close]").onclick = () => closeModal();
+}
+
+function renderLogSearch() {
+  return `
+    <label class="field">Search
+      <input type="search" data-field="log-search" placeholder="Notes, exercise or variant" value="${escapeHtml(state.logSearch)}" />
+    </label>
+    <p class="muted" data-log-search-empty hidden>No logs match your search.</p>
+  `;
+}
+
+function matchesLogSearch(log, query) {
+  const terms = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  if (!terms.length) return true;
+  const exercise = state.exercises.find((item) => item.id === log.exerciseId);
+  const text = [exercise?.name, formatLog(log), formatVariants(log), log.notes].filter(Boolean).join(" ").toLowerCase();
+  return terms.every((term) => text.includes(term));
+}
+
+function applyLogSearch() {
+  const items = [...document.querySelectorAll("[data-log-id]")];
+  let visible = 0;
+  items.forEach((item) => {
+    const log = state.logs.find((entry) => entry.id === item.dataset.logId);
+    item.hidden = Boolean(log) && !matchesLogSearch(log, state.logSearch ?? "");
+    if (!item.hidden) visible += 1;
+  });
+  document.querySelectorAll("[data-log-search-empty]").forEach((message) => {
+    message.hidden = !items.length || visible > 0;
+  });
+}
+
+function renderAvailability(exercise) {
+  const availableAt = exercise.getNextAvailableAt(state.logs);
+  if (availableAt <= Date.now()) return "";
+  return `<p class="muted" data-available-at="${availableAt}">${formatAvailability(availableAt, Date.now())}</p>`;
+}
+
+function renderVolumeBudget(exercise, budget) {
+  if (!budget) return "";
+  if (budget.allowed === null) {
+    return `<p class="muted">Volume budget: no ceiling until a full week is logged.</p>`;
+  }
+  const sets = budget.setsLeft !== null ? ` (~${budget.setsLeft} ${budget.setsLeft === 1 ? "set" : "sets"})` : "";
+  return `<p class="muted">Volume budget left this week: ${formatNumber(budget.remaining, 0)} ${exercise.getVolumeUnit()}${sets}</p>`;
+}
+
 function formatDateLabel(timestamp) {
   return new Date(timestamp).toLocaleDateString(undefined, { month: "short", day: "numeric" });
 }
 
+function toDateTimeInputValue(timestamp) {
+  const date = new Date(timestamp);
+  date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+  return date.toISOString().slice(0, 16);
+}
+
+function parseLogTimestamp(value) {
+  const text = String(value ?? "").trim();
+  if (!text) return null;
+  const normalized = /^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T12:00` : text.replace(" ", "T");
+  const timestamp = new Date(normalized).getTime();
+  return Number.isFinite(timestamp) ? timestamp : null;
+}
+
 function buildTimeSeries(logs, valueFn) {
   return logs
     .map((log) => ({ x: log.timestamp, y: valueFn(log) }))
@@ -821,7 +2677,13 @@ function buildTimeSeries(logs, valueFn) {
     .sort((a, b) => a.x - b.x);
 }
 
-function buildRollingVolumeSeries(logs, windowDays, now) {
+function defaultVolumeValue(log) {
+  if (log.durationSec) return log.durationSec;
+  if (log.loadKg) return (log.reps ?? 0) * log.loadKg;
+  return log.reps ?? 0;
+}
+
+function buildRollingVolumeSeries(logs, windowDays, now, volumeValue = defaultVolumeValue) {
   if (!logs.length) return [];
   const windowStart = now - windowDays * DAY_MS;
   const startOfDay = (timestamp) => {
@@ -830,11 +2692,6 @@ function buildRollingVolumeSeries(logs, windowDays, now) {
     return date.getTime();
   };
   const dayTotals = new Map();
-  const volumeValue = (log) => {
-    if (log.durationSec) return log.durationSec;
-    if (log.loadKg) return (log.reps ?? 0) * log.loadKg;
-    return log.reps ?? 0;
-  };
   const volumeLogs = logs.filter((log) => log.timestamp >= windowStart - 6 * DAY_MS && log.timestamp <= now);
   if (!volumeLogs.length) return [];
   volumeLogs.forEach((log) => {
@@ -875,7 +2732,41 @@ function buildSmoothPath(points) {
   return path;
 }
 
-function renderChart(series, label) {
+function computeTrend(series) {
+  if (series.length < 2) return null;
+  const xs = series.map((point) => point.x / DAY_MS);
+  const ys = series.map((point) => point.y);
+  const meanX = average(xs);
+  const meanY = average(ys);
+  const spread = xs.reduce((sum, x) => sum + (x - meanX) ** 2, 0);
+  if (!spread) return null;
+  const slopePerDay = xs.reduce((sum, x, index) => sum + (x - meanX) * (ys[index] - meanY), 0) / spread;
+  return {
+    slopePerDay,
+    valueAt: (timestamp) => meanY + slopePerDay * (timestamp / DAY_MS - meanX),
+  };
+}
+
+function buildMovingAverage(series, size = MOVING_AVERAGE_POINTS) {
+  const sorted = [...series].sort((a, b) => a.x - b.x);
+  return sorted.map((point, index) => {
+    const recent = sorted.slice(Math.max(0, index - size + 1), index + 1);
+    return { x: point.x, y: average(recent.map((item) => item.y)) };
+  });
+}
+
+function forecastTarget(trend, series, target, now) {
+  if (!series.length) return "Log a few sets to forecast the target.";
+  const latest = series[series.length - 1].y;
+  if (latest >= target) return `Target ${formatNumber(target)} reached.`;
+  if (!trend || trend.slopePerDay <= 0) return `Not trending toward ${formatNumber(target)} yet.`;
+  const days = (target - Math.max(trend.valueAt(now), latest)) / trend.slopePerDay;
+  if (days <= 0) return `On trend for ${formatNumber(target)}; your next sets should reach it.`;
+  if (days > FORECAST_MAX_DAYS) return `${formatNumber(target)} is more than a year away at this rate.`;
+  return `At this rate you reach ${formatNumber(target)} around ${new Date(now + days * DAY_MS).toLocaleDateString()}.`;
+}
+
+function renderChart(series, label, { target } = {}) {
   if (!series.length) {
     return `
       <div class="chart">
@@ -888,8 +2779,11 @@ function renderChart(series, label) {
   const sorted = [...series].sort((a, b) => a.x - b.x);
   const minX = Math.min(...sorted.map((point) => point.x));
   const maxX = Math.max(...sorted.map((point) => point.x));
-  const minY = Math.min(...sorted.map((point) => point.y));
-  const maxY = Math.max(...sorted.map((point) => point.y));
+  const trend = computeTrend(sorted);
+  const trendEnds = trend ? [trend.valueAt(minX), trend.valueAt(maxX)] : [];
+  const movingAverage = state.showMovingAverage && sorted.length > MOVING_AVERAGE_POINTS ? buildMovingAverage(sorted) : [];
+  const minY = Math.min(...sorted.map((point) => point.y), ...trendEnds);
+  const maxY = Math.max(...sorted.map((point) => point.y), ...trendEnds);
   const baseRange = maxY - minY || 1;
   const verticalPadding = Math.max(baseRange * 0.1, 1);
   const yMin = minY - verticalPadding;
@@ -906,6 +2800,8 @@ function renderChart(series, label) {
 
   const chartPoints = sorted.map((point) => ({ x: xScale(point.x), y: yScale(point.y) }));
   const linePath = chartPoints.length > 1 ? buildSmoothPath(chartPoints) : "";
+  const averagePath = buildSmoothPath(movingAverage.map((point) => ({ x: xScale(point.x), y: yScale(point.y) })));
+  const weeklyRate = trend ? trend.slopePerDay * 7 : undefined;
 
   const gridLines = Array.from({ length: 5 }, (_, index) => {
     const y = padding.top + (plotHeight / 4) * index;
@@ -927,7 +2823,7 @@ function renderChart(series, label) {
     <div class="chart">
       <div class="chart-header">
         <span>${label}</span>
-        <span class="chart-range">${formatNumber(yMin)} - ${formatNumber(yMax)}</span>
+        <span class="chart-range">${formatNumber(yMin)} - ${formatNumber(yMax)}${weeklyRate !== undefined ? ` · ${weeklyRate >= 0 ? "+" : ""}${formatNumber(weeklyRate)}/wk` : ""}</span>
       </div>
       <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
         <g class="chart-grid">
@@ -935,6 +2831,8 @@ function renderChart(series, label) {
           ${verticalGridLines}
         </g>
         ${linePath ? `<path class="chart-line" d="${linePath}" />` : ""}
+        ${averagePath ? `<path class="chart-average" d="${averagePath}" />` : ""}
+        ${trend ? `<line class="chart-trend" x1="${xScale(minX)}" y1="${yScale(trendEnds[0])}" x2="${xScale(maxX)}" y2="${yScale(trendEnds[1])}" />` : ""}
         <g class="chart-points">
           ${chartPoints.map((point) => `<circle class="chart-point" cx="${point.x}" cy="${point.y}" r="2.3" />`).join("")}
         </g>
@@ -944,44 +2842,112 @@ function renderChart(series, label) {
           ${xTicks}
         </g>
       </svg>
+      ${Number.isFinite(target) ? `<div class="chart-forecast">${forecastTarget(trend, sorted, target, Date.now())}</div>` : ""}
+    </div>
+  `;
+}
+
+function renderAnalyticsViewSwitch() {
+  return `
+    <div class="mode-switch">
+      <button class="mode-button ${state.analyticsView !== "all" ? "active" : ""}" data-analytics-view="single">Single Exercise</button>
+      <button class="mode-button ${state.analyticsView === "all" ? "active" : ""}" data-analytics-view="all">All Exercises</button>
     </div>
   `;
 }
 
 function renderAnalytics() {
-  const selectedExerciseId = state.selectedExerciseId ?? state.exercises[0]?.id ?? "";
+  if (state.analyticsView === "all") return renderAllExercisesAnalytics();
+  const pickerExercises = getFilteredExercises(state.exercises);
+  const selectedExerciseId = getAnalyticsExerciseId();
   const windowDays = state.windowDays ?? 30;
   const completeOnly = state.completeOnly ?? true;
   const exercise = state.exercises.find((item) => item.id === selectedExerciseId);
   const logs = state.logs.filter((log) => log.exerciseId === selectedExerciseId);
-  const filteredLogs = logs.filter((log) => !completeOnly || log.status === "complete");
+  const variantFields = exercise?.variantsSchema ?? [];
+  const variantFilterField = variantFields.find((field) => field.key === state.variantFilterKey);
+  const variantSplitField = variantFields.find((field) => field.key === state.variantSplitKey);
+  const variantValueOf = (field, log) => formatVariantValue(field, log.variants?.[field.key]);
+  const variantFilterValues = variantFilterField
+    ? [...new Set(logs.map((log) => variantValueOf(variantFilterField, log)))].sort()
+    : [];
+  const variantFilterValue = variantFilterValues.includes(state.variantFilterValue)
+    ? state.variantFilterValue
+    : variantFilterValues[0];
+  const variantLogs = logs.filter(
+    (log) => !variantFilterField || variantValueOf(variantFilterField, log) === variantFilterValue,
+  );
+  const filteredLogs = variantLogs.filter((log) => !completeOnly || log.status === "complete");
   const now = Date.now();
-  const windowedLogs = filteredLogs.filter((log) => now - log.timestamp <= windowDays * DAY_MS);
+  const inWindow = (log) => now - log.timestamp <= windowDays * DAY_MS;
+  const windowedLogs = filteredLogs.filter(inWindow);
   const hydrated = exercise ? hydrateExercise(exercise) : null;
-  const stats = hydrated ? hydrated.computeStats(windowedLogs, windowDays) : null;
+  const stats = hydrated
+    ? {
+        ...hydrated.computeStats(windowedLogs, windowDays),
+        completionRate: computeCompletionRate(variantLogs.filter(inWindow)),
+      }
+    : null;
 
   const primaryMetricType = hydrated?.getPrimaryMetricType?.();
-  const metricSeries = buildTimeSeries(windowedLogs, (log) => {
+  const primaryValue = (log) => {
     if (primaryMetricType === "weightedReps") {
-      if (!log.loadKg || !log.reps) return undefined;
-      return log.loadKg * (1 + log.reps / 30);
+      return estimateLog1RM(log, hydrated.oneRmFormula);
     }
     if (primaryMetricType === "isometric") {
       return log.durationSec;
     }
+    if (primaryMetricType === "distance") {
+      if (!log.distanceM || !log.durationSec) return undefined;
+      return speedKmh(log.distanceM, log.durationSec);
+    }
+    if (primaryMetricType === "interval") {
+      return log.rounds;
+    }
+    if (primaryMetricType === "carry") {
+      return log.distanceM;
+    }
     return log.reps;
-  });
+  };
+  const metricSeries = buildTimeSeries(windowedLogs, primaryValue);
+  const primaryMetricLabel = {
+    weightedReps: `Estimated 1RM (kg) · ${getOneRmFormula(hydrated?.oneRmFormula).label}`,
+    distance: "Speed (km/h)",
+    interval: "Rounds",
+    carry: "Distance (m)",
+  }[primaryMetricType] ?? "Primary metric";
+  const variantGroups = variantSplitField
+    ? [...new Set(windowedLogs.map((log) => variantValueOf(variantSplitField, log)))].sort().map((value) => {
+        const groupLogs = windowedLogs.filter((log) => variantValueOf(variantSplitField, log) === value);
+        return {
+          value,
+          count: groupLogs.length,
+          average: average(groupLogs.map(primaryValue).filter(Number.isFinite)),
+          series: buildTimeSeries(groupLogs, primaryValue),
+        };
+      })
+    : [];
+  const distanceSeries =
+    primaryMetricType === "distance"
+      ? buildTimeSeries(windowedLogs.filter((log) => log.distanceM), (log) => log.distanceM)
+      : [];
   const loadSeries = buildTimeSeries(windowedLogs.filter((log) => log.loadKg), (log) => log.loadKg);
   const rirSeries = buildTimeSeries(windowedLogs.filter((log) => log.rir !== undefined), (log) => log.rir);
   const painSeries = buildTimeSeries(windowedLogs.filter((log) => log.pain0to10 !== undefined), (log) => log.pain0to10);
-  const volumeSeries = buildRollingVolumeSeries(filteredLogs, windowDays, now);
+  const volumeSeries = hydrated
+    ? buildRollingVolumeSeries(filteredLogs, windowDays, now, (log) => hydrated.getLogVolume(log))
+    : [];
+  const baselineSeries = hydrated ? buildBaselineSeries(hydrated, now - windowDays * DAY_MS, now) : [];
+  const baselineHistory = [...(exercise?.baselineHistory ?? [])].sort((a, b) => b.timestamp - a.timestamp);
 
   return `
     <div class="page">
       <section class="card">
+        ${renderAnalyticsViewSwitch()}
+        ${state.exercises.length ? renderExerciseFilters() : ""}
         <label class="field">Exercise
           <select data-field="exercise">
-            ${state.exercises.map((item) => `<option value="${item.id}" ${item.id === selectedExerciseId ? "selected" : ""}>${item.name}</option>`).join("")}
+            ${pickerExercises.map((item) => `<option value="${item.id}" ${item.id === selectedExerciseId ? "selected" : ""}>${escapeHtml(item.name)}${item.archivedAt ? " (archived)" : ""}</option>`).join("")}
           </select>
         </label>
         <label class="field">Window
@@ -993,12 +2959,49 @@ function renderAnalytics() {
           <input type="checkbox" data-field="complete" ${completeOnly ? "checked" : ""} />
           Complete only
         </label>
+        ${variantFields.length ? `
+          <div class="field-grid">
+            <label class="field">Variant filter
+              <select data-field="variant-filter-key">
+                <option value="">All variants</option>
+                ${variantFields.map((field) => `<option value="${field.key}" ${field === variantFilterField ? "selected" : ""}>${escapeHtml(field.label)}</option>`).join("")}
+              </select>
+            </label>
+            ${variantFilterField ? `
+              <label class="field">${escapeHtml(variantFilterField.label)}
+                <select data-field="variant-filter-value">
+                  ${variantFilterValues.map((value) => `<option value="${escapeHtml(value)}" ${value === variantFilterValue ? "selected" : ""}>${escapeHtml(value)}</option>`).join("")}
+                </select>
+              </label>
+            ` : ""}
+            <label class="field">Split by
+              <select data-field="variant-split">
+                <option value="">No split</option>
+                ${variantFields.map((field) => `<option value="${field.key}" ${field === variantSplitField ? "selected" : ""}>${escapeHtml(field.label)}</option>`).join("")}
+              </select>
+            </label>
+          </div>
+        ` : ""}
       </section>
 
       <section class="card">
         <h2>Charts</h2>
+        <div class="field-grid">
+          <label class="field field-inline">
+            <input type="checkbox" data-field="moving-average" ${state.showMovingAverage ? "checked" : ""} />
+            <span>Moving average (${MOVING_AVERAGE_POINTS} points)</span>
+          </label>
+          ${exercise ? `
+            <label class="field">Target (${primaryMetricLabel})
+              <input type="number" min="0" step="any" data-field="trend-target" value="${exercise.targetValue ?? ""}" placeholder="e.g. 25" />
+            </label>
+          ` : ""}
+        </div>
         <div class="chart-grid">
-          ${renderChart(metricSeries, "Primary metric")}
+          ${renderChart(metricSeries, primaryMetricLabel, { target: exercise?.targetValue ?? undefined })}
+          ${variantGroups.map((group) => renderChart(group.series, `${primaryMetricLabel} · ${escapeHtml(variantSplitField.label)}: ${escapeHtml(group.value)}`)).join("")}
+          ${distanceSeries.length ? renderChart(distanceSeries, "Distance (m)") : ""}
+          ${renderChart(baselineSeries, "Baseline")}
           ${loadSeries.length ? renderChart(loadSeries, "Load (kg)") : ""}
           ${renderChart(rirSeries, "RIR")}
           ${renderChart(painSeries, "Pain")}
@@ -1018,10 +3021,48 @@ function renderAnalytics() {
             <div class="stat"><span class="label">Median RIR</span><span class="kpi">${formatNumber(stats.medianRir)}</span></div>
             <div class="stat"><span class="label">Avg Pain</span><span class="kpi">${formatNumber(stats.avgPain)}</span></div>
             <div class="stat"><span class="label">Active days/week</span><span class="kpi">${formatNumber(stats.activeDaysPerWeek, 0)}</span></div>
+            <div class="stat"><span class="label">Completion</span><span class="kpi">${stats.completionRate !== undefined ? `${formatNumber(stats.completionRate, 0)}%` : "—"}</span></div>
+            ${stats.prDistanceM !== undefined ? `<div class="stat"><span class="label">PR Distance</span><span class="kpi">${formatNumber(stats.prDistanceM, 0)}</span></div>` : ""}
+            ${stats.totalDistanceM !== undefined ? `<div class="stat"><span class="label">Total Distance</span><span class="kpi">${formatNumber(stats.totalDistanceM, 0)}</span></div>` : ""}
+            ${stats.bestSpeedKmh !== undefined ? `<div class="stat"><span class="label">Best km/h</span><span class="kpi">${formatNumber(stats.bestSpeedKmh)}</span></div>` : ""}
+            ${stats.prRounds !== undefined ? `<div class="stat"><span class="label">PR Rounds</span><span class="kpi">${formatNumber(stats.prRounds, 0)}</span></div>` : ""}
           </div>
+          ${variantGroups.length ? `
+            <div class="card-subtitle">By ${escapeHtml(variantSplitField.label)}</div>
+            <div class="stats-grid">
+              ${variantGroups.map((group) => `
+                <div class="stat">
+                  <span class="label">${escapeHtml(group.value)} · ${group.count} ${group.count === 1 ? "set" : "sets"}</span>
+                  <span class="kpi">${formatNumber(group.average)}</span>
+                </div>
+              `).join("")}
+            </div>
+          ` : ""}
         ` : `<p class="muted">Select an exercise to see stats.</p>`}
       </section>
 
+      <section class="card">
+        <h2>Baseline</h2>
+        ${hydrated ? `
+          <p class="kpi">${hydrated.formatBaseline()}</p>
+          ${baselineHistory.length ? `
+            <div class="log-list">
+              ${baselineHistory.map((entry) => `
+                <div class="log-item">
+                  <div>
+                    <strong>${hydrated.formatBaseline(entry.baseline)}</strong>
+                    <div class="muted">${new Date(entry.timestamp).toLocaleDateString()} · ${BASELINE_SOURCE_LABELS[entry.source] ?? "Setup"}</div>
+                  </div>
+                </div>
+              `).join("")}
+            </div>
+          ` : `<p class="muted">No re-tests yet.</p>`}
+          <div class="button-row">
+            <button class="btn secondary" data-max-test="${hydrated.id}">Max test</button>
+          </div>
+        ` : `<p class="muted">Select an exercise to see its baseline.</p>`}
+      </section>
+
       <section class="card">
         <h2>Export</h2>
         <div class="button-row">
@@ -1034,18 +3075,255 @@ function renderAnalytics() {
       <section class="card">
         <h2>Logs</h2>
         ${windowedLogs.length === 0 ? `<p class="muted">No logs in this window.</p>` : `
+          ${renderLogSearch()}
           <div class="log-list">
             ${windowedLogs.map((log) => `
-              <div class="log-item">
+              <div class="log-item" data-log-id="${log.id}">
                 <div>
                   <strong>${formatLog(log)}</strong>
                   <div class="muted">${new Date(log.timestamp).toLocaleString()}</div>
+                  ${formatVariants(log) ? `<div class="muted">${escapeHtml(formatVariants(log))}</div>` : ""}
+                  ${log.notes ? `<div class="muted">“${escapeHtml(log.notes)}”</div>` : ""}
+                </div>
+                <div class="button-row">
+                  <button class="btn ghost" data-edit-log="${log.id}">Edit</button>
+                  <button class="btn ghost" data-delete-log="${log.id}">Delete</button>
+                </div>
+              </div>
+            `).join("")}
+          </div>
+        `}
+      </section>
+    </div>
+  `;
+}
+
+function correlate(pairs) {
+  if (pairs.length < PAIN_CORRELATION_MIN_DAYS) return undefined;
+  const meanX = average(pairs.map(([x]) => x));
+  const meanY = average(pairs.map(([, y]) => y));
+  const covariance = pairs.reduce((sum, [x, y]) => sum + (x - meanX) * (y - meanY), 0);
+  const spreadX = Math.sqrt(pairs.reduce((sum, [x]) => sum + (x - meanX) ** 2, 0));
+  const spreadY = Math.sqrt(pairs.reduce((sum, [, y]) => sum + (y - meanY) ** 2, 0));
+  if (!spreadX || !spreadY) return undefined;
+  return covariance / (spreadX * spreadY);
+}
+
+function describeCorrelation(r) {
+  if (r === undefined) return "not enough data";
+  const strength = Math.abs(r) >= 0.5 ? "strong" : Math.abs(r) >= 0.3 ? "moderate" : "weak";
+  return `r = ${formatNumber(r, 2)} (${strength}${strength === "weak" ? "" : r > 0 ? " positive" : " negative"})`;
+}
+
+function analyzePainRegions(logs, windowDays, now, painWarn) {
+  const windowStart = now - windowDays * DAY_MS;
+  return Object.entries(PAIN_REGIONS)
+    .map(([region, label]) => {
+      const regionLogs = logs.filter((log) => log.painRegion === region && log.pain0to10 > 0);
+      const windowedRegionLogs = regionLogs.filter((log) => log.timestamp >= windowStart);
+      if (!windowedRegionLogs.length) return null;
+      const implicated = new Set(regionLogs.map((log) => log.exerciseId));
+      const trainingLogs = logs.filter((log) => implicated.has(log.exerciseId));
+      const days = [...new Set(trainingLogs.filter((log) => log.timestamp >= windowStart).map((log) => startOfDay(log.timestamp)))];
+      const samples = days.map((day) => {
+        const prior = trainingLogs.filter((log) => log.timestamp < day && log.timestamp >= day - PAIN_LOOKBACK_DAYS * DAY_MS);
+        const efforts = prior.map((log) => log.rir).filter(Number.isFinite).map((rir) => 10 - rir);
+        const dayPain = regionLogs.filter((log) => startOfDay(log.timestamp) === day).map((log) => log.pain0to10);
+        return {
+          pain: dayPain.length ? Math.max(...dayPain) : 0,
+          volume: prior.length,
+          effort: efforts.length ? average(efforts) : undefined,
+        };
+      });
+      const flareUps = samples.filter((sample) => sample.pain >= painWarn);
+      const calm = samples.filter((sample) => sample.pain < painWarn);
+      const summarize = (group) => {
+        const efforts = group.map((sample) => sample.effort).filter(Number.isFinite);
+        return {
+          volume: average(group.map((sample) => sample.volume)),
+          effort: efforts.length ? average(efforts) : undefined,
+        };
+      };
+      const painValues = windowedRegionLogs.map((log) => log.pain0to10);
+      return {
+        region,
+        label,
+        count: windowedRegionLogs.length,
+        avgPain: average(painValues),
+        maxPain: Math.max(...painValues),
+        lastAt: Math.max(...windowedRegionLogs.map((log) => log.timestamp)),
+        exercises: [...implicated].map((id) => state.exercises.find((exercise) => exercise.id === id)?.name ?? "Unknown"),
+        series: buildTimeSeries(windowedRegionLogs, (log) => log.pain0to10),
+        volumeR: correlate(samples.map((sample) => [sample.volume, sample.pain])),
+        effortR: correlate(samples.filter((sample) => sample.effort !== undefined).map((sample) => [sample.effort, sample.pain])),
+        flareUps: flareUps.length ? summarize(flareUps) : null,
+        calm: calm.length ? summarize(calm) : null,
+      };
+    })
+    .filter(Boolean);
+}
+
+function renderPainRegions(regions, painWarn) {
+  if (!regions.length) {
+    return `<p class="muted">No pain with a body region in this window. Pick a region next to the pain score when logging.</p>`;
+  }
+  return `
+    <div class="log-list">
+      ${regions.map((entry) => `
+        <div class="log-item">
+          <div>
+            <strong>${entry.label}</strong>
+            <div class="muted">${entry.count} painful ${entry.count === 1 ? "set" : "sets"} · avg ${formatNumber(entry.avgPain)} · max ${entry.maxPain} · last ${new Date(entry.lastAt).toLocaleDateString()}</div>
+            <div class="muted">Exercises: ${escapeHtml(entry.exercises.join(", "))}</div>
+            <div class="muted">Pain vs prior ${PAIN_LOOKBACK_DAYS}-day sets: ${describeCorrelation(entry.volumeR)}</div>
+            <div class="muted">Pain vs prior effort (10 − RIR): ${describeCorrelation(entry.effortR)}</div>
+            ${entry.flareUps && entry.calm ? `
+              <div class="muted">Before flare-ups (pain ≥ ${painWarn}): ${formatNumber(entry.flareUps.volume)} sets, effort ${formatNumber(entry.flareUps.effort)} · other days: ${formatNumber(entry.calm.volume)} sets, effort ${formatNumber(entry.calm.effort)}</div>
+            ` : ""}
+          </div>
+        </div>
+      `).join("")}
+    </div>
+  `;
+}
+
+function renderAllExercisesAnalytics() {
+  const windowDays = state.windowDays ?? 30;
+  const completeOnly = state.completeOnly ?? true;
+  const now = Date.now();
+  const exercises = getFilteredExercises(state.exercises).map(hydrateExercise);
+  const exerciseMap = new Map(exercises.map((exercise) => [exercise.id, exercise]));
+  const logs = state.logs.filter(
+    (log) =>
+      exerciseMap.has(log.exerciseId) &&
+      log.status !== "skipped" &&
+      log.kind !== "maxTest" &&
+      (!completeOnly || log.status === "complete")
+  );
+  const windowedLogs = logs.filter((log) => now - log.timestamp <= windowDays * DAY_MS);
+  const categoryOf = (log) => exerciseMap.get(log.exerciseId).category;
+  const categories = getCategories().filter(
+    (category) =>
+      windowedLogs.some((log) => categoryOf(log) === category) ||
+      exercises.some((exercise) => exercise.category === category && !exercise.archivedAt)
+  );
+  const totalSets = windowedLogs.length;
+  const rows = categories.map((category) => {
+    const categoryLogs = windowedLogs.filter((log) => categoryOf(log) === category);
+    const lastLog = logs.filter((log) => categoryOf(log) === category).sort((a, b) => b.timestamp - a.timestamp)[0];
+    const rirValues = categoryLogs.map((log) => log.rir).filter(Number.isFinite);
+    const painValues = categoryLogs.map((log) => log.pain0to10).filter(Number.isFinite);
+    const hasActive = exercises.some((exercise) => exercise.category === category && !exercise.archivedAt);
+    const daysSince = lastLog ? Math.floor((now - lastLog.timestamp) / DAY_MS) : null;
+    const share = totalSets ? categoryLogs.length / totalSets : 0;
+    let neglected = null;
+    if (hasActive && (daysSince === null || daysSince >= NEGLECTED_DAYS)) {
+      neglected = daysSince === null ? "never trained" : `no sets in ${daysSince} days`;
+    } else if (hasActive && totalSets && share < NEGLECTED_SHARE) {
+      neglected = `only ${formatNumber(share * 100, 0)}% of sets`;
+    }
+    return {
+      category,
+      sets: categoryLogs.length,
+      volumes: [
+        ...categoryLogs.reduce((totals, log) => {
+          const exercise = exerciseMap.get(log.exerciseId);
+          const unit = exercise.getVolumeUnit();
+          return totals.set(unit, (totals.get(unit) ?? 0) + (exercise.getLogVolume(log) || 0));
+        }, new Map()),
+      ],
+      avgRir: rirValues.length ? average(rirValues) : undefined,
+      avgPain: painValues.length ? average(painValues) : undefined,
+      neglected,
+      series: buildRollingVolumeSeries(
+        logs.filter((log) => categoryOf(log) === category),
+        windowDays,
+        now,
+        () => 1
+      ),
+    };
+  });
+  const seriesFor = (category) => rows.find((row) => row.category === category)?.series ?? [];
+  const pullByDay = new Map(seriesFor("pull").map((point) => [point.x, point.y]));
+  const balanceSeries = seriesFor("push")
+    .filter((point) => pullByDay.get(point.x) > 0)
+    .map((point) => ({ x: point.x, y: point.y / pullByDay.get(point.x) }));
+  const currentBalance = balanceSeries.find((point) => point.x === startOfDay(now));
+  const neglectedRows = rows.filter((row) => row.neglected);
+  const { painWarn } = getProgressionProfile(null, state.settings.progressionDefaults);
+  const painRegions = analyzePainRegions(
+    state.logs.filter((log) => exerciseMap.has(log.exerciseId) && log.status !== "skipped"),
+    windowDays,
+    now,
+    painWarn
+  );
+
+  return `
+    <div class="page">
+      <section class="card">
+        ${renderAnalyticsViewSwitch()}
+        ${state.exercises.length ? renderExerciseFilters() : ""}
+        <label class="field">Window
+          <select data-field="window">
+            ${[7, 30, 90].map((value) => `<option value="${value}" ${value === windowDays ? "selected" : ""}>Last ${value} days</option>`).join("")}
+          </select>
+        </label>
+        <label class="field">
+          <input type="checkbox" data-field="complete" ${completeOnly ? "checked" : ""} />
+          Complete only
+        </label>
+      </section>
+
+      <section class="card">
+        <h2>Balance</h2>
+        <div class="stats-grid">
+          <div class="stat"><span class="label">Sets</span><span class="kpi">${totalSets}</span></div>
+          <div class="stat"><span class="label">Push:pull (7 days)</span><span class="kpi">${currentBalance ? `${formatNumber(currentBalance.y)} : 1` : "—"}</span></div>
+        </div>
+        ${neglectedRows.length ? `
+          <div class="card-subtitle">Neglected</div>
+          <ul>
+            ${neglectedRows.map((row) => `<li>⚠ ${escapeHtml(row.category)}: ${row.neglected}</li>`).join("")}
+          </ul>
+        ` : ""}
+      </section>
+
+      <section class="card">
+        <h2>By Category</h2>
+        ${rows.length === 0 ? `<p class="muted">No exercises match the filters.</p>` : `
+          <div class="log-list">
+            ${rows.map((row) => `
+              <div class="log-item">
+                <div>
+                  <strong>${escapeHtml(row.category)}${row.neglected ? " ⚠" : ""}</strong>
+                  <div class="muted">${row.sets} ${row.sets === 1 ? "set" : "sets"}${row.volumes.length ? ` · volume ${row.volumes.map(([unit, total]) => `${formatNumber(total, 0)} ${unit}`).join(", ")}` : ""} · RIR ${formatNumber(row.avgRir)} · pain ${formatNumber(row.avgPain)}</div>
                 </div>
-                <button class="btn ghost" data-delete-log="${log.id}">Delete</button>
               </div>
             `).join("")}
           </div>
-        `}
+        `}
+      </section>
+
+      <section class="card">
+        <h2>Charts</h2>
+        <label class="field field-inline">
+          <input type="checkbox" data-field="moving-average" ${state.showMovingAverage ? "checked" : ""} />
+          <span>Moving average (${MOVING_AVERAGE_POINTS} points)</span>
+        </label>
+        <div class="chart-grid">
+          ${renderChart(balanceSeries, "Push:pull balance (7-day sets)")}
+          ${rows.filter((row) => row.series.length).map((row) => renderChart(row.series, `7-day sets · ${escapeHtml(row.category)}`)).join("")}
+        </div>
+      </section>
+
+      <section class="card">
+        <h2>Pain by Region</h2>
+        ${renderPainRegions(painRegions, painWarn)}
+        ${painRegions.length ? `
+          <div class="chart-grid">
+            ${painRegions.map((entry) => renderChart(entry.series, `Pain · ${entry.label}`)).join("")}
+          </div>
+        ` : ""}
       </section>
     </div>
   `;
@@ -1058,18 +3336,22 @@ function renderSettings() {
       <section class="card">
         <h2>Create Exercise</h2>
         <label class="field">Name
-          <input data-field="exercise-name" value="${state.exerciseName ?? ""}" />
+          <input data-field="exercise-name" value="${escapeHtml(state.exerciseName)}" />
         </label>
         <label class="field">Category
           <select data-field="exercise-category">
-            ${["pull", "push", "legs", "core", "cardio", "other"].map((value) => `
-              <option value="${value}" ${value === (state.exerciseCategory ?? "pull") ? "selected" : ""}>${value}</option>
+            ${getCategories().map((value) => `
+              <option value="${escapeHtml(value)}" ${value === (state.exerciseCategory ?? "pull") ? "selected" : ""}>${escapeHtml(value)}</option>
             `).join("")}
           </select>
         </label>
+        ${renderTagEditor(state.exerciseTags ?? [], "create")}
+        <label class="field">Cues
+          <textarea rows="2" data-field="exercise-notes" placeholder="Squeeze glutes, ribs down">${escapeHtml(state.exerciseNotes)}</textarea>
+        </label>
         <label class="field">Type
           <select data-field="exercise-type">
-            ${["reps", "weighted", "isometric"].map((value) => `
+            ${Object.keys(EXERCISE_CLASSES).map((value) => `
               <option value="${value}" ${value === (state.exerciseType ?? "reps") ? "selected" : ""}>${value}</option>
             `).join("")}
           </select>
@@ -1093,8 +3375,33 @@ function renderSettings() {
             <label class="field">Top set kg
               <input type="number" min="1" step="0.5" data-field="baseline-top-load" value="${state.topSetLoadKg ?? ""}" required />
             </label>
+            <label class="field">Load increment kg
+              <input type="number" min="0.5" step="0.5" data-field="load-increment" value="${state.loadIncrementKg ?? DEFAULT_LOAD_INCREMENT_KG}" />
+            </label>
+            <label class="field">1RM formula
+              <select data-field="one-rm-formula">
+                ${renderOneRmFormulaOptions(state.oneRmFormula ?? DEFAULT_ONE_RM_FORMULA)}
+              </select>
+            </label>
+          </div>
+        ` : ""}
+        ${BASELINE_FORM_FIELDS[state.exerciseType ?? "reps"] ? `
+          <div class="field-grid">
+            ${BASELINE_FORM_FIELDS[state.exerciseType].map(({ key, label, step, min }) => `
+              <label class="field">${label}
+                <input type="number" min="${min ?? 1}" ${step ? `step="${step}"` : ""} data-baseline-field="${key}" value="${state.baselineDraft?.[key] ?? ""}" required />
+              </label>
+            `).join("")}
           </div>
         ` : ""}
+        <label class="field">Progression
+          <select data-field="progression-strategy">
+            ${renderStrategyOptions(state.progressionStrategy ?? "gtg")}
+          </select>
+        </label>
+        <label class="field">Minimum rest between sets (min)
+          <input type="number" min="0" data-field="min-rest" value="${state.minRestMinutes ?? DEFAULT_MIN_REST_MINUTES}" />
+        </label>
         <label class="field">GTG intensity
           <select data-field="intensity-preset">
             ${["easy", "normal", "hard"].map((value) => `
@@ -1120,15 +3427,25 @@ function renderSettings() {
 
       <section class="card">
         <h2>Exercises</h2>
+        ${state.exercises.length > 1 ? `
+          <div class="button-row">
+            <button class="btn secondary" data-action="merge-exercises">Merge duplicates</button>
+          </div>
+        ` : ""}
         ${state.exercises.length === 0 ? `<p class="muted">No exercises yet.</p>` : `
           <div class="list">
             ${state.exercises.map((exercise) => `
               <div class="list-item">
                 <div>
-                  <strong>${exercise.name}</strong>
-                  <div class="muted">${exercise.type}</div>
+                  <strong>${escapeHtml(exercise.name)}</strong>${exercise.archivedAt ? ` <span class="muted">(archived)</span>` : ""}
+                  <div class="muted">${escapeHtml(exercise.category)} · ${exercise.type}${exercise.tags?.length ? ` · ${exercise.tags.map((tag) => `#${escapeHtml(tag)}`).join(" ")}` : ""} · ${PROGRESSION_STRATEGIES[exercise.progressionStrategy]?.label ?? PROGRESSION_STRATEGIES.gtg.label}${Object.keys(exercise.progressionOverrides ?? {}).length ? " · custom engine" : ""}</div>
+                </div>
+                <div class="button-row">
+                  <button class="btn secondary" data-edit-exercise="${exercise.id}">Edit</button>
+                  <button class="btn secondary" data-exercise-overrides="${exercise.id}">Engine</button>
+                  <button class="btn ghost" data-archive-exercise="${exercise.id}">${exercise.archivedAt ? "Restore" : "Archive"}</button>
+                  <button class="btn ghost" data-delete-exercise="${exercise.id}">Delete</button>
                 </div>
-                <button class="btn ghost" data-delete-exercise="${exercise.id}">Delete</button>
               </div>
             `).join("")}
           </div>
@@ -1136,28 +3453,63 @@ function renderSettings() {
       </section>
 
       <section class="card">
-        <h2>Create Template</h2>
+        <h2>Categories</h2>
+        <div class="list">
+          ${getCategories().map((category) => {
+            const count = state.exercises.filter((exercise) => exercise.category === category).length;
+            const removable = (state.settings.customCategories ?? []).includes(category) && count === 0;
+            return `
+              <div class="list-item">
+                <div>
+                  <strong>${escapeHtml(category)}</strong>
+                  <div class="muted">${count} ${count === 1 ? "exercise" : "exercises"}${DEFAULT_CATEGORIES.includes(category) ? " · built-in" : ""}</div>
+                </div>
+                ${removable ? `<button class="btn ghost" data-remove-category="${escapeHtml(category)}">Remove</button>` : ""}
+              </div>
+            `;
+          }).join("")}
+        </div>
+        <label class="field">New category
+          <input data-field="new-category" placeholder="mobility" />
+        </label>
+        <div class="button-row">
+          <button class="btn secondary" data-action="add-category">Add Category</button>
+        </div>
+      </section>
+
+      <section class="card">
+        <h2>${state.editingTemplateId ? "Edit Template" : "Create Template"}</h2>
         <label class="field">Name
-          <input data-field="template-name" value="${state.templateName ?? ""}" />
+          <input data-field="template-name" value="${escapeHtml(state.templateName)}" />
         </label>
         <div class="list">
           ${templateItems.map((item, index) => {
             const exercise = state.exercises.find((value) => value.id === item.exerciseId);
             return `
-              <div class="list-item">
+              <div class="list-item" draggable="true" data-template-item="${index}">
                 <div class="template-item-grid">
                   <select data-template-exercise="${index}">
-                    ${state.exercises.map((option) => `
-                      <option value="${option.id}" ${option.id === item.exerciseId ? "selected" : ""}>${option.name}</option>
+                    ${exercise ? "" : `<option value="" selected>Deleted exercise</option>`}
+                    ${state.exercises.filter((option) => !option.archivedAt || option.id === item.exerciseId).map((option) => `
+                      <option value="${option.id}" ${option.id === item.exerciseId ? "selected" : ""}>${escapeHtml(option.name)}</option>
                     `).join("")}
                   </select>
                   <select data-template-mode="${index}">
                     <option value="auto" ${item.targetMode === "auto" ? "selected" : ""}>Auto</option>
                     <option value="fixed" ${item.targetMode === "fixed" ? "selected" : ""}>Fixed</option>
                   </select>
-                  ${item.targetMode === "fixed" ? renderFixedTargetInputs(item, exercise, index) : ""}
+                  ${item.targetMode === "fixed" ? renderFixedTargetInputs(item, exercise, index) : `
+                    <select data-template-strategy="${index}">
+                      ${renderStrategyOptions(item.strategy ?? "", "Exercise default")}
+                    </select>
+                  `}
+                  ${!exercise ? `<span class="muted">⚠ Pick a replacement for the deleted exercise.</span>` : exercise.archivedAt ? `<span class="muted">⚠ ${escapeHtml(exercise.name)} is archived.</span>` : ""}
+                </div>
+                <div class="button-row">
+                  <button class="btn ghost" data-move-template-item="${index}" data-direction="-1" ${index === 0 ? "disabled" : ""} aria-label="Move up">↑</button>
+                  <button class="btn ghost" data-move-template-item="${index}" data-direction="1" ${index === templateItems.length - 1 ? "disabled" : ""} aria-label="Move down">↓</button>
+                  <button class="btn ghost" data-remove-template-item="${index}">Remove</button>
                 </div>
-                <button class="btn ghost" data-remove-template-item="${index}">Remove</button>
               </div>
             `;
           }).join("")}
@@ -1165,6 +3517,7 @@ function renderSettings() {
         <div class="button-row">
           <button class="btn secondary" data-action="add-template-item">Add Exercise</button>
           <button class="btn primary" data-action="save-template">Save Template</button>
+          ${state.editingTemplateId ? `<button class="btn ghost" data-action="cancel-template-edit">Cancel edit</button>` : ""}
         </div>
       </section>
 
@@ -1175,10 +3528,15 @@ function renderSettings() {
             ${state.templates.map((template) => `
               <div class="list-item">
                 <div>
-                  <strong>${template.name}</strong>
+                  <strong>${escapeHtml(template.name)}</strong>
                   <div class="muted">${template.items.length} exercises</div>
+                  ${formatTemplateIssues(template) ? `<div class="muted">⚠ ${formatTemplateIssues(template)}</div>` : ""}
+                </div>
+                <div class="button-row">
+                  <button class="btn secondary" data-edit-template="${template.id}">Edit</button>
+                  <button class="btn ghost" data-duplicate-template="${template.id}">Duplicate</button>
+                  <button class="btn ghost" data-delete-template="${template.id}">Delete</button>
                 </div>
-                <button class="btn ghost" data-delete-template="${template.id}">Delete</button>
               </div>
             `).join("")}
           </div>
@@ -1188,12 +3546,22 @@ function renderSettings() {
       <section class="card">
         <h2>Engine Defaults</h2>
         <div class="field-grid">
-          ${renderEngineField("Target RIR min", "targetRirMin")}
-          ${renderEngineField("Target RIR max", "targetRirMax")}
-          ${renderEngineField("Max weekly volume %", "maxWeeklyVolumeIncreasePct")}
-          ${renderEngineField("Pain warn", "painWarn")}
-          ${renderEngineField("Pain reduce", "painReduce")}
+          ${PROGRESSION_FIELDS.map((field) => renderEngineField(field)).join("")}
         </div>
+        <label class="field">When a log exceeds the weekly volume ceiling
+          <select data-field="volume-ceiling-mode">
+            ${[["warn", "Warn"], ["block", "Block"], ["off", "Allow"]].map(([value, label]) => `
+              <option value="${value}" ${value === (state.settings.volumeCeilingMode ?? "warn") ? "selected" : ""}>${label}</option>
+            `).join("")}
+          </select>
+        </label>
+        <label class="field">When a set comes before the minimum rest
+          <select data-field="spacing-mode">
+            ${[["warn", "Warn"], ["block", "Block"], ["off", "Allow"]].map(([value, label]) => `
+              <option value="${value}" ${value === (state.settings.spacingMode ?? "warn") ? "selected" : ""}>${label}</option>
+            `).join("")}
+          </select>
+        </label>
       </section>
 
       <section class="card">
@@ -1217,6 +3585,16 @@ function renderSettings() {
         </div>
       </section>
 
+      <section class="card">
+        <h2>History</h2>
+        ${renderJournal()}
+      </section>
+
+      <section class="card">
+        <h2>Scheduler</h2>
+        ${renderSchedulerSettings()}
+      </section>
+
       <section class="card">
         <h2>Daily Goal</h2>
         <label class="field">Sets per day
@@ -1231,6 +3609,130 @@ function renderSettings() {
   `;
 }
 
+function renderSchedulerSettings() {
+  const schedule = getScheduleSettings();
+  const permission = "Notification" in window ? Notification.permission : "unsupported";
+  return `
+    <label class="field field-inline">
+      <input type="checkbox" data-schedule-toggle ${schedule.enabled ? "checked" : ""} />
+      <span>Spread sets through the day</span>
+    </label>
+    <div class="field-grid">
+      <label class="field">Wake
+        <input type="time" data-schedule="wakeStart" value="${schedule.wakeStart}" />
+      </label>
+      <label class="field">Sleep
+        <input type="time" data-schedule="wakeEnd" value="${schedule.wakeEnd}" />
+      </label>
+      <label class="field">Quiet from
+        <input type="time" data-schedule="quietStart" value="${schedule.quietStart}" />
+      </label>
+      <label class="field">Quiet until
+        <input type="time" data-schedule="quietEnd" value="${schedule.quietEnd}" />
+      </label>
+      <label class="field">Sets per exercise/day
+        <input type="number" min="1" data-schedule="setsPerDay" data-schedule-number value="${schedule.setsPerDay}" />
+      </label>
+      <label class="field">Snooze minutes
+        <input type="number" min="1" data-schedule="snoozeMinutes" data-schedule-number value="${schedule.snoozeMinutes}" />
+      </label>
+    </div>
+    <div class="card-subtitle">Exercises</div>
+    ${getActiveExercises().map((exercise) => `
+      <label class="field field-inline">
+        <input type="checkbox" data-schedule-exercise="${exercise.id}" ${schedule.exerciseIds.includes(exercise.id) ? "checked" : ""} />
+        <span>${escapeHtml(exercise.name)}</span>
+      </label>
+    `).join("")}
+    <div class="button-row">
+      <button class="btn secondary" data-action="enable-notifications" ${permission === "granted" || permission === "unsupported" ? "disabled" : ""}>
+        ${permission === "granted" ? "Reminders on" : permission === "unsupported" ? "Notifications unsupported" : "Enable reminders"}
+      </button>
+    </div>
+  `;
+}
+
+function renderJournal() {
+  const entries = [...state.journal].reverse();
+  const canUndo = entries.some((entry) => !entry.undone);
+  const canRedo = entries.some((entry) => entry.undone);
+  return `
+    <div class="button-row">
+      <button class="btn secondary" data-action="undo" ${canUndo ? "" : "disabled"}>Undo</button>
+      <button class="btn secondary" data-action="redo" ${canRedo ? "" : "disabled"}>Redo</button>
+    </div>
+    ${entries.length ? `
+      <div class="log-list">
+        ${entries.map((entry) => `
+          <div class="log-item ${entry.undone ? "undone" : ""}">
+            <div>
+              <strong>${escapeHtml(entry.label)}</strong>
+              <div class="muted">${new Date(entry.timestamp).toLocaleString()}${entry.undone ? " · undone" : ""}</div>
+            </div>
+            ${entry.undone
+              ? `<button class="btn ghost" data-redo-to="${entry.id}">Redo to here</button>`
+              : `<button class="btn ghost" data-undo-to="${entry.id}">Undo to here</button>`}
+          </div>
+        `).join("")}
+      </div>
+    ` : `<p class="muted">Nothing to undo yet.</p>`}
+  `;
+}
+
+function renderExerciseFilters() {
+  const tags = getAllTags();
+  return `
+    <div class="field-grid">
+      <label class="field">Category
+        <select data-field="filter-category">
+          <option value="">All categories</option>
+          ${getCategories().map((value) => `<option value="${escapeHtml(value)}" ${value === state.filterCategory ? "selected" : ""}>${escapeHtml(value)}</option>`).join("")}
+        </select>
+      </label>
+      ${tags.length ? `
+        <label class="field">Tag
+          <select data-field="filter-tag">
+            <option value="">All tags</option>
+            ${tags.map((tag) => `<option value="${escapeHtml(tag)}" ${tag === state.filterTag ? "selected" : ""}>${escapeHtml(tag)}</option>`).join("")}
+          </select>
+        </label>
+      ` : ""}
+    </div>
+  `;
+}
+
+function renderTagEditor(tags, scope) {
+  const suggestions = getAllTags().filter((tag) => !tags.includes(tag));
+  return `
+    <div class="field">Tags
+      ${tags.length ? `
+        <div class="tag-list">
+          ${tags.map((tag) => `
+            <span class="tag">${escapeHtml(tag)}<button class="tag-remove" data-remove-tag="${scope}" data-tag="${escapeHtml(tag)}" aria-label="Remove ${escapeHtml(tag)}">×</button></span>
+          `).join("")}
+        </div>
+      ` : ""}
+      <input list="tag-suggestions-${scope}" data-tag-input="${scope}" placeholder="Add tags, comma separated" />
+      <datalist id="tag-suggestions-${scope}">
+        ${suggestions.map((tag) => `<option value="${escapeHtml(tag)}"></option>`).join("")}
+      </datalist>
+    </div>
+  `;
+}
+
+function bindTagEditor(container, scope, tags, onChange) {
+  container.querySelectorAll(`[data-tag-input="${scope}"]`).forEach((input) => {
+    input.onchange = (event) => {
+      const added = parseTags(event.target.value);
+      if (!added.length) return;
+      onChange([...new Set([...tags, ...added])]);
+    };
+  });
+  container.querySelectorAll(`[data-remove-tag="${scope}"]`).forEach((button) => {
+    button.onclick = () => onChange(tags.filter((tag) => tag !== button.dataset.tag));
+  });
+}
+
 function renderVariantFields() {
   const fields = state.variantFields ?? [];
   if (!fields.length) return "";
@@ -1238,7 +3740,7 @@ function renderVariantFields() {
     .map((field, index) => `
       <div class="field-grid">
         <label class="field">Label
-          <input data-variant-label="${index}" value="${field.label}" />
+          <input data-variant-label="${index}" value="${escapeHtml(field.label)}" />
         </label>
         <label class="field">Type
           <select data-variant-type="${index}">
@@ -1247,30 +3749,40 @@ function renderVariantFields() {
             `).join("")}
           </select>
         </label>
+        ${field.type === "select" ? `
+          <label class="field">Options
+            <input data-variant-options="${index}" value="${escapeHtml((field.options ?? []).join(", "))}" placeholder="wide, neutral, close" />
+          </label>
+        ` : ""}
+        <button class="btn ghost" data-remove-variant="${index}">Remove</button>
       </div>
     `)
     .join("");
 }
 
 function renderFixedTargetInputs(item, exercise, index) {
-  if (exercise?.type === "isometric") {
-    return `
-      <input type="number" placeholder="Seconds" value="${item.fixedTarget?.durationSec ?? 0}" data-template-fixed="${index}" data-metric="duration" />
-    `;
-  }
-  const loadInput = exercise?.type === "weighted"
-    ? `<input type="number" placeholder="Load kg" value="${item.fixedTarget?.loadKg ?? 0}" data-template-fixed="${index}" data-metric="load" />`
-    : "";
-  return `
-    <input type="number" placeholder="Reps" value="${item.fixedTarget?.reps ?? 0}" data-template-fixed="${index}" data-metric="reps" />
-    ${loadInput}
-  `;
+  if (!exercise) return "";
+  return hydrateExercise(exercise)
+    .getLogFields()
+    .map(({ key, label, step }) => `
+      <input type="number" ${step ? `step="${step}"` : ""} placeholder="${label}" value="${item.fixedTarget?.[key] ?? 0}" data-template-fixed="${index}" data-metric="${key}" />
+    `)
+    .join("");
+}
+
+function renderStrategyOptions(selected, inheritLabel) {
+  const options = Object.entries(PROGRESSION_STRATEGIES).map(([value, strategy]) => [value, strategy.label]);
+  if (inheritLabel) options.unshift(["", inheritLabel]);
+  return options
+    .map(([value, label]) => `<option value="${value}" ${value === selected ? "selected" : ""}>${label}</option>`)
+    .join("");
 }
 
-function renderEngineField(label, key) {
+function renderEngineField({ label, key, step }) {
+  const profile = getProgressionProfile(null, state.settings.progressionDefaults);
   return `
     <label class="field">${label}
-      <input type="number" data-engine="${key}" value="${state.settings.progressionDefaults[key]}" />
+      <input type="number" ${step ? `step="${step}"` : ""} data-engine="${key}" value="${profile[key]}" />
     </label>
   `;
 }
@@ -1284,7 +3796,7 @@ function renderToasts() {
   if (!state.toastQueue.length) return "";
   return `
     <div class="toast-stack">
-      ${state.toastQueue.map((toastItem) => `<div class="toast">${toastItem.message}</div>`).join("")}
+      ${state.toastQueue.map((toastItem) => `<div class="toast">${escapeHtml(toastItem.message)}</div>`).join("")}
     </div>
   `;
 }
@@ -1301,6 +3813,7 @@ function render() {
     ${renderToasts()}
   `;
   bindEvents();
+  syncReminders();
 }
 
 function bindEvents() {
@@ -1334,6 +3847,67 @@ function bindEvents() {
     };
   }
 
+  const variantFilterSelect = document.querySelector("select[data-field=variant-filter-key]");
+  if (variantFilterSelect) {
+    variantFilterSelect.onchange = (event) => {
+      state.variantFilterKey = event.target.value || null;
+      state.variantFilterValue = null;
+      render();
+    };
+  }
+
+  const variantValueSelect = document.querySelector("select[data-field=variant-filter-value]");
+  if (variantValueSelect) {
+    variantValueSelect.onchange = (event) => {
+      state.variantFilterValue = event.target.value;
+      render();
+    };
+  }
+
+  const variantSplitSelect = document.querySelector("select[data-field=variant-split]");
+  if (variantSplitSelect) {
+    variantSplitSelect.onchange = (event) => {
+      state.variantSplitKey = event.target.value || null;
+      render();
+    };
+  }
+
+  document.querySelectorAll("[data-calendar-view]").forEach((button) => {
+    button.onclick = () => {
+      state.calendarView = button.dataset.calendarView;
+      render();
+    };
+  });
+
+  document.querySelectorAll("[data-calendar-shift]").forEach((button) => {
+    button.onclick = () => {
+      state.calendarMonthOffset = Math.min(0, (state.calendarMonthOffset ?? 0) + Number(button.dataset.calendarShift));
+      render();
+    };
+  });
+
+  document.querySelectorAll("[data-calendar-day]").forEach((button) => {
+    button.onclick = () => openDayLogs(Number(button.dataset.calendarDay));
+  });
+
+  document.querySelectorAll("[data-field=moving-average]").forEach((input) => {
+    input.onchange = (event) => {
+      state.showMovingAverage = event.target.checked;
+      render();
+    };
+  });
+
+  document.querySelectorAll("[data-field=trend-target]").forEach((input) => {
+    input.onchange = (event) => setExerciseTarget(getAnalyticsExerciseId(), event.target.value);
+  });
+
+  document.querySelectorAll("[data-analytics-view]").forEach((button) => {
+    button.onclick = () => {
+      state.analyticsView = button.dataset.analyticsView === "all" ? "all" : "single";
+      render();
+    };
+  });
+
   const windowSelect = document.querySelector("select[data-field=window]");
   if (windowSelect) {
     windowSelect.onchange = (event) => {
@@ -1358,8 +3932,44 @@ function bindEvents() {
     button.onclick = () => openDetailLog();
   });
 
-  document.querySelectorAll("[data-action=undo-log]").forEach((button) => {
-    button.onclick = () => undoLog();
+  document.querySelectorAll("[data-action=bulk-log]").forEach((button) => {
+    button.onclick = () => openBulkLog(state.selectedExerciseId ?? state.exercises[0]?.id);
+  });
+
+  document.querySelectorAll("[data-action=undo]").forEach((button) => {
+    button.onclick = () => undoJournal();
+  });
+
+  document.querySelectorAll("[data-action=redo]").forEach((button) => {
+    button.onclick = () => redoJournal();
+  });
+
+  document.querySelectorAll("[data-undo-to]").forEach((button) => {
+    button.onclick = () => undoJournal(button.dataset.undoTo);
+  });
+
+  document.querySelectorAll("[data-redo-to]").forEach((button) => {
+    button.onclick = () => redoJournal(button.dataset.redoTo);
+  });
+
+  document.querySelectorAll("[data-hold-timer]").forEach((button) => {
+    button.onclick = () => openHoldTimer(button.dataset.holdTimer, Number(button.dataset.holdTarget));
+  });
+
+  document.querySelectorAll("[data-max-test]").forEach((button) => {
+    button.onclick = () => openMaxTest(button.dataset.maxTest);
+  });
+
+  document.querySelectorAll("[data-accept-baseline]").forEach((button) => {
+    button.onclick = () => acceptBaselineSuggestion(button.dataset.acceptBaseline);
+  });
+
+  document.querySelectorAll("[data-dismiss-baseline]").forEach((button) => {
+    button.onclick = () => dismissBaselineSuggestion(button.dataset.dismissBaseline);
+  });
+
+  document.querySelectorAll("[data-edit-log]").forEach((button) => {
+    button.onclick = () => openEditLog(button.dataset.editLog);
   });
 
   document.querySelectorAll("[data-delete-log]").forEach((button) => {
@@ -1385,6 +3995,24 @@ function bindEvents() {
     select.onchange = (event) => {
       const index = Number(event.target.dataset.variantType);
       state.variantFields[index].type = event.target.value;
+      render();
+    };
+  });
+
+  document.querySelectorAll("[data-variant-options]").forEach((input) => {
+    input.oninput = (event) => {
+      const index = Number(event.target.dataset.variantOptions);
+      state.variantFields[index].options = event.target.value
+        .split(",")
+        .map((option) => option.trim())
+        .filter(Boolean);
+    };
+  });
+
+  document.querySelectorAll("[data-remove-variant]").forEach((button) => {
+    button.onclick = () => {
+      state.variantFields.splice(Number(button.dataset.removeVariant), 1);
+      render();
     };
   });
 
@@ -1419,6 +4047,13 @@ function bindEvents() {
     };
   });
 
+  document.querySelectorAll("[data-template-strategy]").forEach((select) => {
+    select.onchange = (event) => {
+      const index = Number(event.target.dataset.templateStrategy);
+      state.templateItems[index].strategy = event.target.value || undefined;
+    };
+  });
+
   document.querySelectorAll("[data-template-fixed]").forEach((input) => {
     input.oninput = (event) => {
       const index = Number(event.target.dataset.templateFixed);
@@ -1426,17 +4061,61 @@ function bindEvents() {
       const value = Number(event.target.value);
       const item = state.templateItems[index];
       const exercise = state.exercises.find((entry) => entry.id === item.exerciseId);
-      const metricType = exercise?.type === "weighted" ? "weightedReps" : exercise?.type === "isometric" ? "isometric" : "reps";
+      const metricType = exercise ? hydrateExercise(exercise).getPrimaryMetricType() : "reps";
       const current = item.fixedTarget ?? { metricType, explanation: [] };
-      item.fixedTarget = { ...current, metricType, explanation: [] };
-      if (metric === "duration") item.fixedTarget.durationSec = value;
-      if (metric === "reps") item.fixedTarget.reps = value;
-      if (metric === "load") item.fixedTarget.loadKg = value;
+      item.fixedTarget = { ...current, metricType, explanation: [], [metric]: value };
     };
   });
 
+  document.querySelectorAll("[data-edit-exercise]").forEach((button) => {
+    button.onclick = () => openExerciseEditor(button.dataset.editExercise);
+  });
+
+  document.querySelectorAll("[data-action=merge-exercises]").forEach((button) => {
+    button.onclick = () => openMergeExercises();
+  });
+
+  document.querySelectorAll("[data-archive-exercise]").forEach((button) => {
+    button.onclick = () => toggleArchiveExercise(button.dataset.archiveExercise);
+  });
+
   document.querySelectorAll("[data-delete-exercise]").forEach((button) => {
-    button.onclick = () => deleteExercise(button.dataset.deleteExercise);
+    button.onclick = () => openDeleteExercise(button.dataset.deleteExercise);
+  });
+
+  document.querySelectorAll("[data-exercise-overrides]").forEach((button) => {
+    button.onclick = () => openExerciseOverrides(button.dataset.exerciseOverrides);
+  });
+
+  document.querySelectorAll("[data-edit-template]").forEach((button) => {
+    button.onclick = () => editTemplate(button.dataset.editTemplate);
+  });
+
+  document.querySelectorAll("[data-duplicate-template]").forEach((button) => {
+    button.onclick = () => duplicateTemplate(button.dataset.duplicateTemplate);
+  });
+
+  document.querySelectorAll("[data-action=cancel-template-edit]").forEach((button) => {
+    button.onclick = () => resetTemplateForm();
+  });
+
+  document.querySelectorAll("[data-move-template-item]").forEach((button) => {
+    button.onclick = () => {
+      const index = Number(button.dataset.moveTemplateItem);
+      moveTemplateItem(index, index + Number(button.dataset.direction));
+    };
+  });
+
+  document.querySelectorAll("[data-template-item]").forEach((item) => {
+    item.ondragstart = (event) => {
+      event.dataTransfer?.setData("text/plain", item.dataset.templateItem);
+    };
+    item.ondragover = (event) => event.preventDefault();
+    item.ondrop = (event) => {
+      event.preventDefault();
+      const from = Number(event.dataTransfer?.getData("text/plain"));
+      if (Number.isInteger(from)) moveTemplateItem(from, Number(item.dataset.templateItem));
+    };
   });
 
   document.querySelectorAll("[data-delete-template]").forEach((button) => {
@@ -1454,6 +4133,51 @@ function bindEvents() {
     };
   });
 
+  document.querySelectorAll("[data-field=spacing-mode]").forEach((select) => {
+    select.onchange = (event) => {
+      saveSettings({ ...state.settings, spacingMode: event.target.value });
+    };
+  });
+
+  document.querySelectorAll("[data-field=volume-ceiling-mode]").forEach((select) => {
+    select.onchange = (event) => {
+      saveSettings({ ...state.settings, volumeCeilingMode: event.target.value });
+    };
+  });
+
+  document.querySelectorAll("[data-snooze]").forEach((button) => {
+    button.onclick = () => snoozeExercise(button.dataset.snooze);
+  });
+
+  document.querySelectorAll("[data-skip-set]").forEach((button) => {
+    button.onclick = () => skipScheduledSet(button.dataset.skipSet);
+  });
+
+  document.querySelectorAll("[data-schedule-toggle]").forEach((input) => {
+    input.onchange = (event) =>
+      saveSchedule(event.target.checked ? { enabled: true, enabledAt: Date.now() } : { enabled: false });
+  });
+
+  document.querySelectorAll("[data-schedule]").forEach((input) => {
+    input.onchange = (event) => {
+      const value = "scheduleNumber" in event.target.dataset ? Number(event.target.value) : event.target.value;
+      saveSchedule({ [event.target.dataset.schedule]: value });
+    };
+  });
+
+  document.querySelectorAll("[data-schedule-exercise]").forEach((input) => {
+    input.onchange = (event) => {
+      const id = event.target.dataset.scheduleExercise;
+      const exerciseIds = getScheduleSettings().exerciseIds.filter((item) => item !== id);
+      if (event.target.checked) exerciseIds.push(id);
+      saveSchedule({ exerciseIds });
+    };
+  });
+
+  document.querySelectorAll("[data-action=enable-notifications]").forEach((button) => {
+    button.onclick = () => requestNotifications();
+  });
+
   document.querySelectorAll("[data-action=set-theme]").forEach((button) => {
     button.onclick = () => {
       saveSettings({ ...state.settings, themeOverride: button.dataset.value });
@@ -1504,6 +4228,47 @@ function bindEvents() {
     };
   });
 
+  document.querySelectorAll("[data-field=exercise-notes]").forEach((input) => {
+    input.oninput = (event) => {
+      state.exerciseNotes = event.target.value;
+    };
+  });
+
+  document.querySelectorAll("[data-field=log-search]").forEach((input) => {
+    input.oninput = (event) => {
+      state.logSearch = event.target.value;
+      applyLogSearch();
+    };
+  });
+  applyLogSearch();
+
+  bindTagEditor(document, "create", state.exerciseTags ?? [], (tags) => {
+    state.exerciseTags = tags;
+    render();
+  });
+
+  document.querySelectorAll("[data-field=filter-category]").forEach((select) => {
+    select.onchange = (event) => {
+      state.filterCategory = event.target.value || null;
+      render();
+    };
+  });
+
+  document.querySelectorAll("[data-field=filter-tag]").forEach((select) => {
+    select.onchange = (event) => {
+      state.filterTag = event.target.value || null;
+      render();
+    };
+  });
+
+  document.querySelectorAll("[data-action=add-category]").forEach((button) => {
+    button.onclick = () => addCategory(document.querySelector("[data-field=new-category]")?.value ?? "");
+  });
+
+  document.querySelectorAll("[data-remove-category]").forEach((button) => {
+    button.onclick = () => removeCategory(button.dataset.removeCategory);
+  });
+
   document.querySelectorAll("[data-field=exercise-type]").forEach((select) => {
     select.onchange = (event) => {
       state.exerciseType = event.target.value;
@@ -1535,6 +4300,36 @@ function bindEvents() {
     };
   });
 
+  document.querySelectorAll("[data-baseline-field]").forEach((input) => {
+    input.oninput = (event) => {
+      state.baselineDraft = { ...(state.baselineDraft ?? {}), [event.target.dataset.baselineField]: Number(event.target.value) };
+    };
+  });
+
+  document.querySelectorAll("[data-field=load-increment]").forEach((input) => {
+    input.oninput = (event) => {
+      state.loadIncrementKg = Number(event.target.value);
+    };
+  });
+
+  document.querySelectorAll("[data-field=one-rm-formula]").forEach((select) => {
+    select.onchange = (event) => {
+      state.oneRmFormula = event.target.value;
+    };
+  });
+
+  document.querySelectorAll("[data-field=min-rest]").forEach((input) => {
+    input.oninput = (event) => {
+      state.minRestMinutes = Number(event.target.value);
+    };
+  });
+
+  document.querySelectorAll("[data-field=progression-strategy]").forEach((select) => {
+    select.onchange = (event) => {
+      state.progressionStrategy = event.target.value;
+    };
+  });
+
   document.querySelectorAll("[data-field=intensity-preset]").forEach((select) => {
     select.onchange = (event) => {
       state.intensityPreset = event.target.value;
@@ -1577,11 +4372,9 @@ function getSelectionForLogging() {
     }
     return state.templates.find((template) => template.id === state.selectedTemplateId)?.items ?? [];
   }
-  if (!state.selectedExerciseId && state.exercises.length > 0) {
-    state.selectedExerciseId = state.exercises[0].id;
-  }
-  if (state.selectedExerciseId && !state.exercises.find((exercise) => exercise.id === state.selectedExerciseId)) {
-    state.selectedExerciseId = state.exercises[0]?.id ?? null;
+  const activeExercises = getFilteredExercises(getActiveExercises());
+  if (!activeExercises.find((exercise) => exercise.id === state.selectedExerciseId)) {
+    state.selectedExerciseId = activeExercises[0]?.id ?? null;
   }
   return state.selectedExerciseId ? [{ exerciseId: state.selectedExerciseId }] : [];
 }
@@ -1598,7 +4391,7 @@ async function quickLog() {
     return;
   }
 
-  const quickLogs = [];
+  const entries = [];
   for (const item of selection) {
     const exercise = exercises.find((entry) => entry.id === item.exerciseId);
     if (!exercise) continue;
@@ -1606,6 +4399,7 @@ async function quickLog() {
     const autoTarget = exercise.computeNextTarget(logs, {
       now: Date.now(),
       profile: state.settings.progressionDefaults,
+      strategy: item?.strategy,
     });
     const target =
       item?.targetMode === "fixed" && item.fixedTarget
@@ -1615,20 +4409,28 @@ async function quickLog() {
       id: uuid(),
       timestamp: Date.now(),
       exerciseId: exercise.id,
-      reps: target.reps,
-      loadKg: target.loadKg,
-      durationSec: target.durationSec,
+      ...pickLogFields(exercise, target),
       status: "complete",
+      pendingCheck: true,
     };
+    const variants = getVariantDefaults(exercise);
+    if (variants) log.variants = variants;
     const validation = exercise.validateLog(log);
     if (!validation.valid) {
       toast(validation.errors?.[0] ?? "Invalid log.");
       return;
     }
-    await dbPut("logs", log);
-    state.logs.unshift(log);
-    quickLogs.push(log);
+    entries.push({ exercise, log });
   }
+  if (!confirmSetSpacing(entries) || !confirmVolumeCeiling(entries)) return;
+  const quickLogs = [];
+  await journaled(`Quick log: ${entries.map(({ exercise }) => exercise.name).join(", ")}`, async () => {
+    for (const { log } of entries) {
+      await dbPut("logs", log);
+      state.logs.unshift(log);
+      quickLogs.push(log);
+    }
+  });
   if (!quickLogs.length) {
     toast("Nothing to log yet.");
     return;
@@ -1639,6 +4441,47 @@ async function quickLog() {
   renderQuickCheck();
 }
 
+function pickLogFields(exercise, target) {
+  return Object.fromEntries(exercise.getLogFields().map(({ key }) => [key, target[key]]));
+}
+
+function confirmSetSpacing(entries) {
+  const mode = state.settings.spacingMode ?? "warn";
+  if (mode === "off") return true;
+  const tooSoon = entries.filter(
+    ({ exercise, log }) => exercise.getNextAvailableAt(state.logs, log.timestamp) > log.timestamp
+  );
+  if (!tooSoon.length) return true;
+  const details = tooSoon
+    .map(({ exercise, log }) => `${exercise.name} (${Math.ceil((exercise.getNextAvailableAt(state.logs, log.timestamp) - log.timestamp) / 60000)} min early)`)
+    .join(", ");
+  const message = `Too soon: ${details}. Spread sets out to grease the groove.`;
+  if (mode === "block") {
+    toast(message);
+    return false;
+  }
+  return confirm(`${message} Log anyway?`);
+}
+
+function confirmVolumeCeiling(entries) {
+  const mode = state.settings.volumeCeilingMode ?? "warn";
+  if (mode === "off") return true;
+  const exceeded = entries.filter(({ exercise, log }) => {
+    const logs = state.logs.filter((item) => item.exerciseId === exercise.id);
+    const profile = getProgressionProfile(exercise, state.settings.progressionDefaults);
+    const budget = exercise.computeVolumeBudget(logs, log.timestamp, profile);
+    return budget.allowed !== null && budget.used + exercise.getLogVolume(log) > budget.allowed;
+  });
+  if (!exceeded.length) return true;
+  const names = exceeded.map(({ exercise }) => exercise.name).join(", ");
+  const message = `${names} would exceed this week's volume ceiling.`;
+  if (mode === "block") {
+    toast(`${message} Log blocked.`);
+    return false;
+  }
+  return confirm(`${message} Log anyway?`);
+}
+
 function closeModal() {
   const modal = document.querySelector(".modal-backdrop");
   if (modal) modal.remove();
@@ -1681,6 +4524,7 @@ function openModal({ title, body, footer, onClose }) {
 function renderQuickCheck() {
   const logs = state.quickCheckLogs ?? [];
   if (!logs.length) return;
+  state.quickCheckLogs = logs.map((log) => structuredClone(log));
   const modal = openModal({
     title: "RIR & Pain Check",
     body: `
@@ -1690,13 +4534,26 @@ function renderQuickCheck() {
           return `
             <div class="log-item">
               <div class="log-detail">
-                <strong>${exercise?.name ?? "Unknown"}</strong>
+                <strong>${escapeHtml(exercise?.name ?? "Unknown")}</strong>
+                ${renderStatusSelect(log.status, `data-quick-status="${index}"`)}
+                <div class="field-grid" data-quick-result="${index}" ${log.status === "complete" ? "hidden" : ""}>
+                  ${exercise ? hydrateExercise(exercise).getLogFields().map(({ key, label, step }) => `
+                    <label class="field">${label} achieved
+                      <input type="number" min="0" ${step ? `step="${step}"` : ""} value="${log[key] ?? 0}" data-quick-field="${index}" data-metric="${key}" />
+                    </label>
+                  `).join("") : ""}
+                </div>
                 <label>RIR
                   <input type="range" min="0" max="10" value="${log.rir ?? 5}" data-quick-rir="${index}" />
                 </label>
                 <label>Pain
                   <input type="range" min="0" max="10" value="${log.pain0to10 ?? 0}" data-quick-pain="${index}" />
                 </label>
+                <label>Where
+                  ${renderPainRegionSelect(log.painRegion, `data-quick-region="${index}"`)}
+                </label>
+                ${exercise ? renderVariantInputs(exercise, log.variants, `data-quick-variant="${index}"`) : ""}
+                <textarea rows="2" placeholder="Notes" data-quick-note="${index}">${escapeHtml(log.notes)}</textarea>
               </div>
             </div>
           `;
@@ -1720,6 +4577,30 @@ function renderQuickCheck() {
     };
   });
 
+  modal.querySelectorAll("select[data-quick-status]").forEach((select) => {
+    select.onchange = (event) => {
+      const index = Number(event.target.dataset.quickStatus);
+      const log = state.quickCheckLogs[index];
+      const record = state.exercises.find((item) => item.id === log.exerciseId);
+      const complete = event.target.value === "complete";
+      log.status = event.target.value;
+      if (record) {
+        const key = hydrateExercise(record).getAmountKey();
+        log[key] = complete ? logs[index][key] : 0;
+        const input = modal.querySelector(`input[data-quick-field="${index}"][data-metric="${key}"]`);
+        if (input) input.value = log[key] ?? 0;
+      }
+      modal.querySelector(`[data-quick-result="${index}"]`).hidden = complete;
+    };
+  });
+
+  modal.querySelectorAll("input[data-quick-field]").forEach((input) => {
+    input.oninput = (event) => {
+      const index = Number(event.target.dataset.quickField);
+      state.quickCheckLogs[index][event.target.dataset.metric] = Number(event.target.value);
+    };
+  });
+
   modal.querySelectorAll("input[data-quick-pain]").forEach((input) => {
     input.oninput = (event) => {
       const index = Number(event.target.dataset.quickPain);
@@ -1727,18 +4608,45 @@ function renderQuickCheck() {
     };
   });
 
+  modal.querySelectorAll("select[data-quick-region]").forEach((select) => {
+    select.onchange = (event) => {
+      state.quickCheckLogs[Number(event.target.dataset.quickRegion)].painRegion = event.target.value || undefined;
+    };
+  });
+
+  modal.querySelectorAll("textarea[data-quick-note]").forEach((input) => {
+    input.oninput = (event) => {
+      state.quickCheckLogs[Number(event.target.dataset.quickNote)].notes = event.target.value.trim() || undefined;
+    };
+  });
+
+  bindVariantInputs(modal, state.exercises, "data-quick-variant", (index) => state.quickCheckLogs[index]);
+
   modal.querySelector("button[data-quick-action=save]").onclick = async () => {
-    const exerciseIds = new Set();
     for (const log of state.quickCheckLogs) {
-      await dbPut("logs", log);
-      exerciseIds.add(log.exerciseId);
+      const record = state.exercises.find((item) => item.id === log.exerciseId);
+      const validation = record ? hydrateExercise(record).validateLog(log) : { valid: true };
+      if (!validation.valid) {
+        toast(validation.errors?.[0] ?? "Invalid log.");
+        return;
+      }
     }
+    const exerciseIds = new Set();
+    const checkedLogs = state.quickCheckLogs;
     state.quickCheckLogs = [];
     toast("RIR and pain saved.");
     closeModal();
-    for (const exerciseId of exerciseIds) {
-      await adjustExerciseIntensity(exerciseId, Date.now());
-    }
+    await journaled("RIR & pain check", async () => {
+      for (const log of checkedLogs) {
+        delete log.pendingCheck;
+        await dbPut("logs", log);
+        state.logs = state.logs.map((item) => (item.id === log.id ? log : item));
+        exerciseIds.add(log.exerciseId);
+      }
+      for (const exerciseId of exerciseIds) {
+        await adjustExerciseIntensity(exerciseId, Date.now());
+      }
+    });
     render();
   };
 
@@ -1769,20 +4677,21 @@ function openDetailLog() {
       const autoTarget = exercise.computeNextTarget(logs, {
         now: Date.now(),
         profile: state.settings.progressionDefaults,
+        strategy: item?.strategy,
       });
       const target =
         item?.targetMode === "fixed" && item.fixedTarget
           ? { ...item.fixedTarget, explanation: ["Fixed target from template."] }
           : autoTarget;
+      const variants = getVariantDefaults(exercise);
       return {
         exercise,
         log: {
           id: uuid(),
           timestamp: Date.now(),
           exerciseId: exercise.id,
-          reps: target.reps,
-          loadKg: target.loadKg,
-          durationSec: target.durationSec,
+          ...pickLogFields(exercise, target),
+          ...(variants ? { variants } : {}),
           status: "complete",
         },
       };
@@ -1793,22 +4702,27 @@ function openDetailLog() {
     return;
   }
 
+  let chosenTimestamp = null;
   const modal = openModal({
     title: "Detailed Log",
     body: `
+      <label class="field">When
+        <input type="datetime-local" value="${toDateTimeInputValue(Date.now())}" data-detail-when />
+      </label>
       <div class="log-list">
         ${detailLogs.map(({ exercise, log }, index) => `
           <div class="log-item">
             <div class="log-detail">
-              <strong>${exercise.name}</strong>
-              ${exercise.type === "isometric" ? `
-                <input type="number" value="${log.durationSec ?? 0}" data-detail="${index}" data-metric="duration" />
-              ` : `
-                <input type="number" value="${log.reps ?? 0}" data-detail="${index}" data-metric="reps" />
-                ${exercise.type === "weighted" ? `<input type="number" value="${log.loadKg ?? 0}" data-detail="${index}" data-metric="load" />` : ""}
-              `}
+              <strong>${escapeHtml(exercise.name)}</strong>
+              ${renderStatusSelect(log.status, `data-detail-status="${index}"`)}
+              ${exercise.getLogFields().map(({ key, label, step }) => `
+                <input type="number" ${step ? `step="${step}"` : ""} placeholder="${label}" value="${log[key] ?? 0}" data-detail="${index}" data-metric="${key}" />
+              `).join("")}
               <input type="number" placeholder="RIR" value="${log.rir ?? ""}" data-detail="${index}" data-metric="rir" />
               <input type="number" placeholder="Pain" value="${log.pain0to10 ?? ""}" data-detail="${index}" data-metric="pain" />
+              ${renderPainRegionSelect(log.painRegion, `data-detail-region="${index}"`)}
+              ${renderVariantInputs(exercise, log.variants, `data-detail-variant="${index}"`)}
+              <textarea rows="2" placeholder="Notes" data-detail-note="${index}"></textarea>
             </div>
           </div>
         `).join("")}
@@ -1826,14 +4740,40 @@ function openDetailLog() {
       const index = Number(event.target.dataset.detail);
       const metric = event.target.dataset.metric;
       const value = Number(event.target.value);
-      if (metric === "reps") detailLogs[index].log.reps = value;
-      if (metric === "load") detailLogs[index].log.loadKg = value;
-      if (metric === "duration") detailLogs[index].log.durationSec = value;
-      if (metric === "rir") detailLogs[index].log.rir = value;
-      if (metric === "pain") detailLogs[index].log.pain0to10 = value;
+      if (metric === "rir") {
+        detailLogs[index].log.rir = value;
+      } else if (metric === "pain") {
+        detailLogs[index].log.pain0to10 = value;
+      } else {
+        detailLogs[index].log[metric] = value;
+      }
+    };
+  });
+
+  modal.querySelector("input[data-detail-when]").onchange = (event) => {
+    chosenTimestamp = parseLogTimestamp(event.target.value);
+  };
+
+  modal.querySelectorAll("select[data-detail-status]").forEach((select) => {
+    select.onchange = (event) => {
+      detailLogs[Number(event.target.dataset.detailStatus)].log.status = event.target.value;
+    };
+  });
+
+  modal.querySelectorAll("select[data-detail-region]").forEach((select) => {
+    select.onchange = (event) => {
+      detailLogs[Number(event.target.dataset.detailRegion)].log.painRegion = event.target.value || undefined;
+    };
+  });
+
+  modal.querySelectorAll("textarea[data-detail-note]").forEach((input) => {
+    input.oninput = (event) => {
+      detailLogs[Number(event.target.dataset.detailNote)].log.notes = event.target.value.trim() || undefined;
     };
   });
 
+  bindVariantInputs(modal, exercises, "data-detail-variant", (index) => detailLogs[index].log);
+
   modal.querySelector("button[data-detail-action=save]").onclick = async () => {
     for (const entry of detailLogs) {
       const validation = entry.exercise.validateLog(entry.log);
@@ -1842,48 +4782,579 @@ function openDetailLog() {
         return;
       }
     }
-    for (const entry of detailLogs) {
-      const log = entry.log;
+    const now = Date.now();
+    const timestamp = chosenTimestamp ?? now;
+    if (timestamp > now) {
+      toast("Pick a time that isn't in the future.");
+      return;
+    }
+    detailLogs.forEach(({ log }) => {
+      log.timestamp = timestamp;
+    });
+    if (!confirmSetSpacing(detailLogs) || !confirmVolumeCeiling(detailLogs)) return;
+    const label = `Detailed log: ${detailLogs.map(({ exercise }) => exercise.name).join(", ")}`;
+    if (now - timestamp >= 60 * 1000) {
+      await journaled(label, () => saveHistoricalLogs(detailLogs.map(({ log }) => log)));
+      toast("Detailed log saved.");
+      closeModal();
+      render();
+      return;
+    }
+    await journaled(label, async () => {
+      for (const entry of detailLogs) {
+        const log = entry.log;
+        await dbPut("logs", log);
+        state.logs.unshift(log);
+        await adjustExerciseIntensity(log.exerciseId, Date.now());
+      }
+    });
+    toast("Detailed log saved.");
+    closeModal();
+    render();
+  };
+
+  modal.querySelector("button[data-detail-action=cancel]").onclick = () => {
+    closeModal();
+    render();
+  };
+}
+
+async function saveHistoricalLogs(logs) {
+  for (const log of logs) {
+    await dbPut("logs", log);
+  }
+  state.logs = [...state.logs, ...logs].sort((a, b) => b.timestamp - a.timestamp);
+  for (const exerciseId of new Set(logs.map((log) => log.exerciseId))) {
+    await replayExerciseEngine(exerciseId);
+  }
+}
+
+function openBulkLog(exerciseId) {
+  const record = state.exercises.find((item) => item.id === exerciseId);
+  if (!record) return;
+  const exercise = hydrateExercise(record);
+  const columns = [...exercise.getLogFields(), { key: "rir", label: "RIR" }, { key: "pain0to10", label: "Pain" }];
+  const dayStart = startOfDay(Date.now() - DAY_MS);
+  const rows = [{ timestamp: dayStart + 12 * 60 * 60 * 1000 }];
+
+  const modal = openModal({
+    title: "Bulk entry",
+    body: `
+      <label class="field">Exercise
+        <select data-bulk-exercise>
+          ${state.exercises.filter((item) => !item.archivedAt || item.id === exercise.id).map((item) => `<option value="${item.id}" ${item.id === exercise.id ? "selected" : ""}>${escapeHtml(item.name)}</option>`).join("")}
+        </select>
+      </label>
+      <label class="field">Paste rows
+        <textarea rows="4" data-bulk-paste placeholder="2026-03-01 07:30, ${columns.map(({ label }) => label).join(", ")}"></textarea>
+      </label>
+      <p class="muted">One set per line: date/time, then ${columns.map(({ label }) => label).join(", ")}. Commas or tabs; RIR and pain are optional.</p>
+      <div class="button-row">
+        <button class="btn secondary" data-bulk-action="parse">Add pasted rows</button>
+        <button class="btn ghost" data-bulk-action="add-row">Add row</button>
+      </div>
+      <div class="log-list" data-bulk-grid></div>
+    `,
+    footer: `
+      <button class="btn primary" data-bulk-action="save">Save sets</button>
+      <button class="btn ghost" data-bulk-action="cancel">Cancel</button>
+    `,
+  });
+
+  const renderRows = () => {
+    const grid = modal.querySelector("[data-bulk-grid]");
+    grid.innerHTML = rows.length
+      ? rows.map((row, index) => `
+          <div class="log-item">
+            <div class="log-detail">
+              <input type="datetime-local" value="${Number.isFinite(row.timestamp) ? toDateTimeInputValue(row.timestamp) : ""}" data-bulk-row="${index}" data-bulk-field="timestamp" />
+              ${columns.map(({ key, label, step }) => `
+                <input type="number" min="0" ${step ? `step="${step}"` : ""} placeholder="${label}" value="${row[key] ?? ""}" data-bulk-row="${index}" data-bulk-field="${key}" />
+              `).join("")}
+            </div>
+            <button class="btn ghost" data-bulk-remove="${index}">Remove</button>
+          </div>
+        `).join("")
+      : `<p class="muted">No rows yet.</p>`;
+    grid.querySelectorAll("[data-bulk-field]").forEach((input) => {
+      input.onchange = (event) => {
+        const row = rows[Number(event.target.dataset.bulkRow)];
+        const key = event.target.dataset.bulkField;
+        if (key === "timestamp") {
+          row.timestamp = parseLogTimestamp(event.target.value);
+        } else {
+          row[key] = event.target.value === "" ? undefined : Number(event.target.value);
+        }
+      };
+    });
+    grid.querySelectorAll("[data-bulk-remove]").forEach((button) => {
+      button.onclick = () => {
+        rows.splice(Number(button.dataset.bulkRemove), 1);
+        renderRows();
+      };
+    });
+  };
+  renderRows();
+
+  modal.querySelector("select[data-bulk-exercise]").onchange = (event) => openBulkLog(event.target.value);
+
+  modal.querySelector("button[data-bulk-action=add-row]").onclick = () => {
+    const last = rows[rows.length - 1];
+    const next = Number.isFinite(last?.timestamp) ? last.timestamp + 60 * 60 * 1000 : Date.now();
+    rows.push({ ...last, timestamp: Math.min(next, Date.now()) });
+    renderRows();
+  };
+
+  modal.querySelector("button[data-bulk-action=parse]").onclick = () => {
+    const textarea = modal.querySelector("textarea[data-bulk-paste]");
+    const lines = textarea.value.split("\n").map((line) => line.trim()).filter(Boolean);
+    const parsed = [];
+    for (const [lineIndex, line] of lines.entries()) {
+      const [when, ...values] = line.split(/\t|,/).map((cell) => cell.trim());
+      const timestamp = parseLogTimestamp(when);
+      if (timestamp === null) {
+        toast(`Line ${lineIndex + 1}: can't read the date "${when}".`);
+        return;
+      }
+      const row = { timestamp };
+      columns.forEach(({ key }, index) => {
+        if (values[index] !== undefined && values[index] !== "") row[key] = Number(values[index]);
+      });
+      parsed.push(row);
+    }
+    if (rows.length === 1 && columns.every(({ key }) => rows[0][key] === undefined)) rows.length = 0;
+    rows.push(...parsed);
+    textarea.value = "";
+    renderRows();
+  };
+
+  modal.querySelector("button[data-bulk-action=save]").onclick = async () => {
+    const variants = getVariantDefaults(exercise);
+    const logs = [];
+    for (const [index, row] of rows.entries()) {
+      if (!Number.isFinite(row.timestamp)) {
+        toast(`Row ${index + 1}: add a date.`);
+        return;
+      }
+      if (row.timestamp > Date.now()) {
+        toast(`Row ${index + 1}: pick a time that isn't in the future.`);
+        return;
+      }
+      const log = {
+        id: uuid(),
+        exerciseId: exercise.id,
+        status: "complete",
+        ...Object.fromEntries(Object.entries(row).filter(([, value]) => Number.isFinite(value))),
+        ...(variants ? { variants: { ...variants } } : {}),
+      };
+      const validation = exercise.validateLog(log);
+      if (!validation.valid) {
+        toast(`Row ${index + 1}: ${validation.errors?.[0] ?? "Invalid log."}`);
+        return;
+      }
+      logs.push(log);
+    }
+    if (!logs.length) {
+      toast("Nothing to save yet.");
+      return;
+    }
+    await journaled(`Bulk entry: ${exercise.name}`, () => saveHistoricalLogs(logs));
+    closeModal();
+    toast(`Saved ${logs.length} ${logs.length === 1 ? "set" : "sets"} for ${exercise.name}.`);
+    render();
+  };
+
+  modal.querySelector("button[data-bulk-action=cancel]").onclick = () => closeModal();
+}
+
+function openEditLog(logId) {
+  const original = state.logs.find((item) => item.id === logId);
+  if (!original) return;
+  const record = state.exercises.find((item) => item.id === original.exerciseId);
+  if (!record) {
+    toast("This log's exercise no longer exists.");
+    return;
+  }
+  const exercise = hydrateExercise(record);
+  const log = { ...original, ...(original.variants ? { variants: { ...original.variants } } : {}) };
+  const statuses = Object.keys(LOG_STATUS_LABELS);
+
+  const modal = openModal({
+    title: `Edit ${escapeHtml(exercise.name)}`,
+    body: `
+      <label class="field">When
+        <input type="datetime-local" value="${toDateTimeInputValue(log.timestamp)}" data-edit-field="timestamp" />
+      </label>
+      <label class="field">Status
+        ${renderStatusSelect(log.status, `data-edit-field="status"`, statuses)}
+      </label>
+      <div class="field-grid">
+        ${exercise.getLogFields().map(({ key, label, step }) => `
+          <label class="field">${label}
+            <input type="number" min="0" ${step ? `step="${step}"` : ""} value="${log[key] ?? ""}" data-edit-field="${key}" />
+          </label>
+        `).join("")}
+        <label class="field">RIR
+          <input type="number" min="0" max="10" value="${log.rir ?? ""}" data-edit-field="rir" />
+        </label>
+        <label class="field">Pain
+          <input type="number" min="0" max="10" value="${log.pain0to10 ?? ""}" data-edit-field="pain0to10" />
+        </label>
+        <label class="field">Pain region
+          ${renderPainRegionSelect(log.painRegion, `data-edit-field="painRegion"`)}
+        </label>
+        ${renderVariantInputs(exercise, log.variants, `data-edit-variant="0"`)}
+      </div>
+      <label class="field">Notes
+        <textarea rows="2" data-edit-field="notes">${escapeHtml(log.notes)}</textarea>
+      </label>
+    `,
+    footer: `
+      <button class="btn primary" data-edit-action="save">Save changes</button>
+      <button class="btn ghost" data-edit-action="cancel">Cancel</button>
+    `,
+  });
+
+  modal.querySelectorAll("[data-edit-field]").forEach((input) => {
+    input.onchange = (event) => {
+      const key = event.target.dataset.editField;
+      const value = event.target.value;
+      if (key === "timestamp") {
+        const timestamp = parseLogTimestamp(value);
+        if (timestamp !== null) log.timestamp = timestamp;
+      } else if (key === "status") {
+        log.status = value;
+      } else if (key === "notes") {
+        log.notes = value.trim() || undefined;
+      } else if (key === "painRegion") {
+        log.painRegion = value || undefined;
+      } else {
+        log[key] = value === "" ? undefined : Number(value);
+      }
+    };
+  });
+
+  bindVariantInputs(modal, [exercise], "data-edit-variant", () => log);
+
+  modal.querySelector("button[data-edit-action=save]").onclick = async () => {
+    const validation = exercise.validateLog(log);
+    if (!validation.valid) {
+      toast(validation.errors?.[0] ?? "Invalid log.");
+      return;
+    }
+    const saved = Object.fromEntries(
+      Object.entries(log).filter(([key, value]) => value !== undefined && key !== "pendingCheck")
+    );
+    await journaled(`Edit log: ${exercise.name}`, async () => {
+      await dbPut("logs", saved);
+      state.logs = state.logs
+        .map((item) => (item.id === saved.id ? saved : item))
+        .sort((a, b) => b.timestamp - a.timestamp);
+      if (saved.kind === "maxTest") {
+        const exerciseIndex = state.exercises.findIndex((item) => item.id === exercise.id);
+        state.exercises[exerciseIndex] = {
+          ...state.exercises[exerciseIndex],
+          baselineHistory: state.exercises[exerciseIndex].baselineHistory.map((entry) =>
+            entry.logId === saved.id
+              ? { ...entry, timestamp: saved.timestamp, baseline: exercise.buildBaselineFromLog(saved) }
+              : entry
+          ),
+        };
+      }
+      await replayExerciseEngine(exercise.id);
+    });
+    closeModal();
+    toast("Log updated.");
+    render();
+  };
+
+  modal.querySelector("button[data-edit-action=cancel]").onclick = () => closeModal();
+}
+
+let holdTimer = null;
+
+function playCue(frequency, durationMs) {
+  navigator.vibrate?.(durationMs);
+  if (!holdTimer?.audio) return;
+  const oscillator = holdTimer.audio.createOscillator();
+  const gain = holdTimer.audio.createGain();
+  oscillator.frequency.value = frequency;
+  gain.gain.value = 0.2;
+  oscillator.connect(gain).connect(holdTimer.audio.destination);
+  oscillator.start();
+  oscillator.stop(holdTimer.audio.currentTime + durationMs / 1000);
+}
+
+function updateHoldTimer() {
+  if (!holdTimer) return;
+  const display = document.querySelector("[data-hold-display]");
+  const status = document.querySelector("[data-hold-status]");
+  if (!holdTimer.startedAt) return;
+  const elapsedSec = (Date.now() - holdTimer.startedAt) / 1000;
+  const remaining = holdTimer.targetSec - elapsedSec;
+  const wholeRemaining = Math.ceil(remaining);
+  if (remaining > 0 && wholeRemaining <= 3 && !holdTimer.cues.has(wholeRemaining)) {
+    holdTimer.cues.add(wholeRemaining);
+    playCue(660, 120);
+  }
+  if (remaining <= 0 && !holdTimer.cues.has("target")) {
+    holdTimer.cues.add("target");
+    playCue(990, 400);
+  }
+  if (display) {
+    display.textContent = remaining > 0 ? formatDuration(wholeRemaining) : `+${formatDuration(Math.floor(-remaining))}`;
+    display.classList.toggle("overtime", remaining <= 0);
+  }
+  if (status) {
+    status.textContent = remaining > 0 ? "Hold…" : "Target reached. Keep going or stop.";
+  }
+}
+
+async function stopHoldTimer() {
+  if (!holdTimer) return;
+  clearInterval(holdTimer.intervalId);
+  await holdTimer.wakeLock?.release().catch(() => {});
+  holdTimer.audio?.close();
+  holdTimer = null;
+}
+
+function openHoldTimer(exerciseId, targetSec) {
+  const record = state.exercises.find((item) => item.id === exerciseId);
+  if (!record) return;
+  const exercise = hydrateExercise(record);
+  const modal = openModal({
+    title: `${escapeHtml(exercise.name)} timer`,
+    body: `
+      <div class="timer">
+        <p class="label">Target ${formatDuration(targetSec)}</p>
+        <p class="timer-display" data-hold-display>${formatDuration(targetSec)}</p>
+        <p class="muted" data-hold-status>Get in position, then start.</p>
+      </div>
+    `,
+    footer: `
+      <button class="btn primary" data-hold-action="start">Start</button>
+      <button class="btn secondary" data-hold-action="stop" disabled>Stop &amp; log</button>
+      <button class="btn ghost" data-hold-action="cancel">Cancel</button>
+    `,
+    onClose: () => {
+      stopHoldTimer();
+      render();
+    },
+  });
+
+  modal.querySelector("button[data-hold-action=start]").onclick = async (event) => {
+    const entries = [{ exercise, log: { timestamp: Date.now(), durationSec: targetSec, status: "complete" } }];
+    if (!confirmSetSpacing(entries) || !confirmVolumeCeiling(entries)) return;
+    event.target.disabled = true;
+    modal.querySelector("button[data-hold-action=stop]").disabled = false;
+    const AudioContextClass = window.AudioContext ?? window.webkitAudioContext;
+    holdTimer = {
+      exerciseId,
+      targetSec,
+      startedAt: Date.now(),
+      cues: new Set(),
+      audio: AudioContextClass ? new AudioContextClass() : null,
+      wakeLock: null,
+      intervalId: setInterval(updateHoldTimer, 200),
+    };
+    playCue(880, 150);
+    const timer = holdTimer;
+    const wakeLock = await navigator.wakeLock?.request("screen").catch(() => null);
+    if (holdTimer === timer) {
+      timer.wakeLock = wakeLock;
+    } else {
+      wakeLock?.release().catch(() => {});
+    }
+    updateHoldTimer();
+  };
+
+  modal.querySelector("button[data-hold-action=stop]").onclick = async () => {
+    if (!holdTimer?.startedAt) return;
+    const durationSec = Math.round((Date.now() - holdTimer.startedAt) / 1000);
+    await stopHoldTimer();
+    const log = {
+      id: uuid(),
+      timestamp: Date.now(),
+      exerciseId,
+      durationSec,
+      status: durationSec >= targetSec ? "complete" : "partial",
+      pendingCheck: true,
+    };
+    const variants = getVariantDefaults(exercise);
+    if (variants) log.variants = variants;
+    const validation = exercise.validateLog(log);
+    if (!validation.valid) {
+      toast(validation.errors?.[0] ?? "Invalid log.");
+      closeModal();
+      render();
+      return;
+    }
+    await journaled(`Timed hold: ${exercise.name}`, async () => {
       await dbPut("logs", log);
       state.logs.unshift(log);
-      await adjustExerciseIntensity(log.exerciseId, Date.now());
+    });
+    closeModal();
+    toast(`Logged ${durationSec} sec hold.`);
+    state.quickCheckLogs = [log];
+    state.tab = "today";
+    renderQuickCheck();
+  };
+
+  modal.querySelector("button[data-hold-action=cancel]").onclick = async () => {
+    await stopHoldTimer();
+    closeModal();
+    render();
+  };
+}
+
+function openMaxTest(exerciseId) {
+  const record = state.exercises.find((item) => item.id === exerciseId);
+  if (!record) return;
+  const exercise = hydrateExercise(record);
+  const log = {
+    id: uuid(),
+    timestamp: Date.now(),
+    exerciseId: exercise.id,
+    kind: "maxTest",
+    ...exercise.getBaselineLog(),
+    rir: 0,
+    status: "complete",
+  };
+  const variants = getVariantDefaults(exercise);
+  if (variants) log.variants = variants;
+
+  const modal = openModal({
+    title: `Max Test: ${escapeHtml(exercise.name)}`,
+    body: `
+      <p class="muted">Warm up, then do one all-out set with clean form. Current baseline: ${exercise.formatBaseline()}.</p>
+      <div class="field-grid">
+        ${exercise.getLogFields().map(({ key, label, step }) => `
+          <label class="field">${label}
+            <input type="number" min="0" ${step ? `step="${step}"` : ""} value="${log[key] ?? ""}" data-max-test-field="${key}" />
+          </label>
+        `).join("")}
+        <label class="field">Pain
+          <input type="number" min="0" max="10" placeholder="0-10" data-max-test-field="pain" />
+        </label>
+        <label class="field">Pain region
+          ${renderPainRegionSelect(log.painRegion, "data-max-test-region")}
+        </label>
+        ${renderVariantInputs(exercise, log.variants, `data-max-test-variant="0"`)}
+      </div>
+    `,
+    footer: `
+      <button class="btn primary" data-max-test-action="save">Save result</button>
+      <button class="btn ghost" data-max-test-action="cancel">Cancel</button>
+    `,
+  });
+
+  modal.querySelectorAll("input[data-max-test-field]").forEach((input) => {
+    input.oninput = (event) => {
+      const metric = event.target.dataset.maxTestField;
+      const value = Number(event.target.value);
+      if (metric === "pain") {
+        log.pain0to10 = event.target.value === "" ? undefined : value;
+      } else {
+        log[metric] = value;
+      }
+    };
+  });
+
+  modal.querySelector("select[data-max-test-region]").onchange = (event) => {
+    log.painRegion = event.target.value || undefined;
+  };
+
+  bindVariantInputs(modal, [exercise], "data-max-test-variant", () => log);
+
+  modal.querySelector("button[data-max-test-action=save]").onclick = async () => {
+    const validation = exercise.validateLog(log);
+    if (!validation.valid) {
+      toast(validation.errors?.[0] ?? "Invalid log.");
+      return;
     }
-    toast("Detailed log saved.");
+    const previous = exercise.formatBaseline();
+    const baselineFields = exercise.buildBaselineFromLog(log);
+    await journaled(`Max test: ${exercise.name}`, async () => {
+      await dbPut("logs", log);
+      state.logs.unshift(log);
+      await updateExerciseBaseline(exercise.id, baselineFields, {
+        timestamp: log.timestamp,
+        source: "maxTest",
+        logId: log.id,
+      });
+    });
     closeModal();
+    toast(`Baseline updated: ${previous} → ${exercise.formatBaseline(baselineFields)}`);
     render();
   };
 
-  modal.querySelector("button[data-detail-action=cancel]").onclick = () => {
-    closeModal();
-    render();
-  };
+  modal.querySelector("button[data-max-test-action=cancel]").onclick = () => closeModal();
+}
+
+async function acceptBaselineSuggestion(exerciseId) {
+  const record = state.exercises.find((item) => item.id === exerciseId);
+  if (!record) return;
+  const exercise = hydrateExercise(record);
+  const now = Date.now();
+  const suggestion = exercise.suggestBaseline(
+    state.logs.filter((log) => log.exerciseId === exerciseId),
+    now
+  );
+  if (!suggestion) return;
+  await journaled(`Accept baseline: ${exercise.name}`, () =>
+    updateExerciseBaseline(exerciseId, suggestion.baseline, { timestamp: now, source: "estimate" })
+  );
+  toast(`Baseline updated: ${exercise.formatBaseline()} → ${exercise.formatBaseline(suggestion.baseline)}`);
+  render();
 }
 
-async function undoLog() {
-  const last = state.logs[0];
-  if (!last) return;
-  await dbDelete("logs", last.id);
-  state.logs.shift();
-  toast("Last log removed.");
+async function dismissBaselineSuggestion(exerciseId) {
+  const exerciseIndex = state.exercises.findIndex((item) => item.id === exerciseId);
+  if (exerciseIndex === -1) return;
+  const updated = { ...state.exercises[exerciseIndex], baselineSuggestionDismissedAt: Date.now() };
+  state.exercises[exerciseIndex] = updated;
+  await journaled(`Dismiss baseline suggestion: ${updated.name}`, () => dbPut("exercises", updated));
   render();
 }
 
 async function deleteLog(id) {
-  await dbDelete("logs", id);
-  state.logs = state.logs.filter((log) => log.id !== id);
+  const log = state.logs.find((item) => item.id === id);
+  const exercise = state.exercises.find((item) => item.id === log?.exerciseId);
+  const baselineEntry = log?.kind === "maxTest" ? exercise?.baselineHistory?.find((entry) => entry.logId === id) : null;
+  await journaled(baselineEntry ? `Delete max test: ${exercise.name}` : "Delete log", async () => {
+    await dbDelete("logs", id);
+    state.logs = state.logs.filter((item) => item.id !== id);
+    if (baselineEntry) {
+      state.exercises = state.exercises.map((item) =>
+        item.id === exercise.id
+          ? { ...item, baselineHistory: item.baselineHistory.filter((entry) => entry !== baselineEntry) }
+          : item
+      );
+      await replayExerciseEngine(exercise.id);
+    }
+  });
+  if (baselineEntry) toast(`Max test removed. ${exercise.name} baseline rolled back.`);
   render();
 }
 
 async function saveExercise() {
   if (!state.exerciseName?.trim()) return;
+  if ((state.variantFields ?? []).some((field) => field.type === "select" && !field.options?.length)) {
+    toast("Add at least one option to each select variant.");
+    return;
+  }
   const intensityPreset = state.intensityPreset ?? "normal";
   const presetIntensity = GTG_INTENSITY_PRESETS[intensityPreset] ?? GTG_INTENSITY_PRESETS.normal;
   const intensityPct = state.intensityAdvanced ? normalizeIntensity(state.intensityPct) : presetIntensity;
   const base = {
     id: uuid(),
+    createdAt: Date.now(),
     name: state.exerciseName.trim(),
     category: state.exerciseCategory ?? "pull",
-    tags: [],
+    progressionStrategy: state.progressionStrategy ?? "gtg",
+    minRestMinutes: state.minRestMinutes >= 0 ? state.minRestMinutes : DEFAULT_MIN_REST_MINUTES,
+    tags: state.exerciseTags ?? [],
+    notes: state.exerciseNotes?.trim() ?? "",
     variantsSchema: state.variantFields ?? [],
   };
 
@@ -1896,11 +5367,29 @@ async function saveExercise() {
     record = {
       ...base,
       type: "weighted",
+      loadIncrementKg: state.loadIncrementKg > 0 ? state.loadIncrementKg : DEFAULT_LOAD_INCREMENT_KG,
+      oneRmFormula: state.oneRmFormula ?? DEFAULT_ONE_RM_FORMULA,
       baseline: {
         topSet: { reps: state.topSetReps, loadKg: state.topSetLoadKg },
         intensityPct,
       },
     };
+  } else if (BASELINE_FORM_FIELDS[state.exerciseType]) {
+    const fields = BASELINE_FORM_FIELDS[state.exerciseType];
+    const draft = state.baselineDraft ?? {};
+    const invalid = fields.find(({ key, min }) => !Number.isFinite(draft[key]) || draft[key] < (min ?? 1));
+    if (invalid) {
+      toast(`Enter a valid ${invalid.label.toLowerCase()}.`);
+      return;
+    }
+    record = {
+      ...base,
+      type: state.exerciseType,
+      baseline: {
+        ...Object.fromEntries(fields.map(({ key }) => [key, draft[key]])),
+        intensityPct,
+      },
+    };
   } else if ((state.exerciseType ?? "reps") === "isometric") {
     if (!state.maxCleanHoldSec || state.maxCleanHoldSec < 1) {
       toast("Enter a valid max clean hold.");
@@ -1929,33 +5418,586 @@ async function saveExercise() {
     };
   }
 
+  record.baselineHistory = [
+    {
+      timestamp: record.createdAt,
+      source: "setup",
+      baseline: getBaselineFields(record.baseline),
+      intensityPct: record.baseline.intensityPct,
+    },
+  ];
   const normalized = normalizeExerciseRecord(record);
-  await dbPut("exercises", normalized);
+  await journaled(`Create exercise: ${normalized.name}`, () => dbPut("exercises", normalized));
   state.exercises.push(normalized);
   state.exerciseName = "";
   state.maxCleanReps = "";
   state.maxCleanHoldSec = "";
   state.topSetReps = "";
   state.topSetLoadKg = "";
+  state.loadIncrementKg = DEFAULT_LOAD_INCREMENT_KG;
+  state.oneRmFormula = DEFAULT_ONE_RM_FORMULA;
+  state.minRestMinutes = DEFAULT_MIN_REST_MINUTES;
+  state.baselineDraft = {};
+  state.exerciseTags = [];
+  state.exerciseNotes = "";
   toast("Exercise saved.");
   render();
 }
 
+async function addCategory(value) {
+  const category = value.trim().toLowerCase();
+  if (!category) return;
+  if (getCategories().includes(category)) {
+    toast(`${category} already exists.`);
+    return;
+  }
+  await journaled(`Add category: ${category}`, () =>
+    saveSettings({
+      ...state.settings,
+      customCategories: [...(state.settings.customCategories ?? []), category],
+    })
+  );
+  toast(`Added ${category}.`);
+}
+
+async function removeCategory(category) {
+  if (state.exercises.some((exercise) => exercise.category === category)) {
+    toast(`${category} is still used by an exercise.`);
+    return;
+  }
+  if (state.filterCategory === category) state.filterCategory = null;
+  await journaled(`Remove category: ${category}`, () =>
+    saveSettings({
+      ...state.settings,
+      customCategories: (state.settings.customCategories ?? []).filter((item) => item !== category),
+    })
+  );
+}
+
 function addVariantField() {
   if (!state.variantFields) state.variantFields = [];
-  state.variantFields.push({ key: `field-${state.variantFields.length + 1}`, label: "Variant", type: "text" });
+  state.variantFields.push({ key: `field-${uuid().slice(0, 8)}`, label: "Variant", type: "text" });
+  render();
+}
+
+function openExerciseOverrides(id) {
+  const exercise = state.exercises.find((item) => item.id === id);
+  if (!exercise) return;
+  const defaults = getProgressionProfile(null, state.settings.progressionDefaults);
+  const overrides = { ...(exercise.progressionOverrides ?? {}) };
+  let loadIncrementKg = exercise.loadIncrementKg;
+  let oneRmFormula = exercise.oneRmFormula ?? DEFAULT_ONE_RM_FORMULA;
+  let progressionStrategy = exercise.progressionStrategy ?? "gtg";
+  let minRestMinutes = exercise.minRestMinutes ?? 0;
+  const modal = openModal({
+    title: `${escapeHtml(exercise.name)} engine`,
+    body: `
+      <label class="field">Progression
+        <select data-override-strategy>
+          ${renderStrategyOptions(progressionStrategy)}
+        </select>
+      </label>
+      <label class="field">Minimum rest between sets (min)
+        <input type="number" min="0" value="${minRestMinutes}" data-override-min-rest />
+      </label>
+      <p class="muted">Leave a field empty to use the Engine Defaults value.</p>
+      <div class="field-grid">
+        ${PROGRESSION_FIELDS.map(({ key, label, step }) => `
+          <label class="field">${label}
+            <input type="number" ${step ? `step="${step}"` : ""} placeholder="${defaults[key]}" value="${overrides[key] ?? ""}" data-override="${key}" />
+          </label>
+        `).join("")}
+      </div>
+      ${exercise.type === "weighted" ? `
+        <div class="field-grid">
+          <label class="field">Load increment kg
+            <input type="number" min="0.5" step="0.5" value="${loadIncrementKg ?? DEFAULT_LOAD_INCREMENT_KG}" data-override-load-increment />
+          </label>
+          <label class="field">1RM formula
+            <select data-override-one-rm>
+              ${renderOneRmFormulaOptions(oneRmFormula)}
+            </select>
+          </label>
+        </div>
+      ` : ""}
+    `,
+    footer: `
+      <button class="btn primary" data-override-action="save">Save</button>
+      <button class="btn ghost" data-override-action="reset">Use defaults</button>
+    `,
+  });
+
+  modal.querySelectorAll("[data-override]").forEach((input) => {
+    input.oninput = (event) => {
+      const key = event.target.dataset.override;
+      if (event.target.value === "") {
+        delete overrides[key];
+      } else {
+        overrides[key] = Number(event.target.value);
+      }
+    };
+  });
+
+  modal.querySelector("[data-override-strategy]").onchange = (event) => {
+    progressionStrategy = event.target.value;
+  };
+
+  modal.querySelector("[data-override-min-rest]").oninput = (event) => {
+    minRestMinutes = Math.max(0, Number(event.target.value) || 0);
+  };
+
+  const incrementInput = modal.querySelector("[data-override-load-increment]");
+  if (incrementInput) {
+    incrementInput.oninput = (event) => {
+      loadIncrementKg = Number(event.target.value);
+    };
+  }
+
+  const formulaSelect = modal.querySelector("[data-override-one-rm]");
+  if (formulaSelect) {
+    formulaSelect.onchange = (event) => {
+      oneRmFormula = event.target.value;
+    };
+  }
+
+  const saveOverrides = async (progressionOverrides) => {
+    const updated = { ...exercise, progressionOverrides, progressionStrategy, minRestMinutes };
+    if (exercise.type === "weighted") {
+      updated.loadIncrementKg = loadIncrementKg > 0 ? loadIncrementKg : DEFAULT_LOAD_INCREMENT_KG;
+      updated.oneRmFormula = oneRmFormula;
+    }
+    state.exercises = state.exercises.map((item) => (item.id === id ? updated : item));
+    await journaled(`Engine settings: ${exercise.name}`, () => dbPut("exercises", updated));
+    closeModal();
+    toast("Engine settings saved.");
+    render();
+  };
+
+  modal.querySelector("button[data-override-action=save]").onclick = () => saveOverrides(overrides);
+  modal.querySelector("button[data-override-action=reset]").onclick = () => saveOverrides({});
+}
+
+function openExerciseEditor(id, draft) {
+  const record = state.exercises.find((item) => item.id === id);
+  if (!record) return;
+  const current = draft ?? {
+    name: record.name,
+    category: record.category,
+    tags: [...(record.tags ?? [])],
+    notes: record.notes ?? "",
+    type: record.type,
+    baseline: structuredClone(getBaselineFields(record.baseline)),
+    intensityPct: record.baseline.intensityPct,
+  };
+  const readBaseline = (field) => (field.nested ? current.baseline[field.nested]?.[field.key] : current.baseline[field.key]);
+  const hasLogs = state.logs.some((log) => log.exerciseId === id);
+
+  const modal = openModal({
+    title: `Edit ${escapeHtml(record.name)}`,
+    body: `
+      <label class="field">Name
+        <input data-editor-field="name" value="${escapeHtml(current.name)}" />
+      </label>
+      <label class="field">Category
+        <select data-editor-field="category">
+          ${getCategories().map((value) => `
+            <option value="${escapeHtml(value)}" ${value === current.category ? "selected" : ""}>${escapeHtml(value)}</option>
+          `).join("")}
+        </select>
+      </label>
+      ${renderTagEditor(current.tags, "editor")}
+      <label class="field">Cues
+        <textarea rows="2" data-editor-field="notes" placeholder="Squeeze glutes, ribs down">${escapeHtml(current.notes)}</textarea>
+      </label>
+      <label class="field">Type
+        <select data-editor-type ${hasLogs ? "disabled" : ""}>
+          ${Object.keys(EXERCISE_CLASSES).map((value) => `
+            <option value="${value}" ${value === current.type ? "selected" : ""}>${value}</option>
+          `).join("")}
+        </select>
+      </label>
+      ${hasLogs
+        ? `<p class="muted">The type is locked because this exercise has logs. To switch, create a new exercise of the other type and archive this one.</p>`
+        : current.type !== record.type ? `<p class="muted">Changing the type restarts the baseline history.</p>` : ""}
+      <div class="card-subtitle">Baseline</div>
+      <div class="field-grid">
+        ${(BASELINE_EDIT_FIELDS[current.type] ?? []).map((field, index) => `
+          <label class="field">${field.label}
+            <input type="number" min="${field.min ?? 1}" ${field.step ? `step="${field.step}"` : ""} value="${readBaseline(field) ?? ""}" data-editor-baseline="${index}" />
+          </label>
+        `).join("")}
+        <label class="field">Intensity (0.3 - 0.7)
+          <input type="number" min="0.3" max="0.7" step="0.01" value="${current.intensityPct}" data-editor-field="intensityPct" />
+        </label>
+      </div>
+    `,
+    footer: `
+      <button class="btn primary" data-editor-action="save">Save</button>
+      <button class="btn ghost" data-editor-action="cancel">Cancel</button>
+    `,
+  });
+
+  modal.querySelectorAll("[data-editor-field]").forEach((input) => {
+    input.onchange = (event) => {
+      const key = event.target.dataset.editorField;
+      current[key] = key === "intensityPct" ? Number(event.target.value) : event.target.value;
+    };
+  });
+
+  modal.querySelectorAll("[data-editor-baseline]").forEach((input) => {
+    input.onchange = (event) => {
+      const field = BASELINE_EDIT_FIELDS[current.type][Number(event.target.dataset.editorBaseline)];
+      const value = Number(event.target.value);
+      if (field.nested) {
+        current.baseline[field.nested] = { ...current.baseline[field.nested], [field.key]: value };
+      } else {
+        current.baseline[field.key] = value;
+      }
+    };
+  });
+
+  bindTagEditor(modal, "editor", current.tags, (tags) => openExerciseEditor(id, { ...current, tags }));
+
+  modal.querySelector("[data-editor-type]").onchange = (event) => {
+    const type = event.target.value;
+    const baseline = type === record.type
+      ? structuredClone(getBaselineFields(record.baseline))
+      : getBaselineFields(normalizeExerciseRecord({ type, baseline: {} }).baseline);
+    openExerciseEditor(id, { ...current, type, baseline });
+  };
+
+  modal.querySelector("button[data-editor-action=save]").onclick = async () => {
+    const name = current.name.trim();
+    if (!name) {
+      toast("Name is required.");
+      return;
+    }
+    const invalid = (BASELINE_EDIT_FIELDS[current.type] ?? []).some((field) => {
+      const value = readBaseline(field);
+      return !Number.isFinite(value) || value < (field.min ?? 1);
+    });
+    if (invalid) {
+      toast("Fill in every baseline field.");
+      return;
+    }
+    const intensityPct = normalizeIntensity(current.intensityPct);
+    const now = Date.now();
+    const { loadIncrementKg, oneRmFormula, ...rest } = record;
+    let updated = {
+      ...rest,
+      ...(current.type === "weighted"
+        ? {
+            loadIncrementKg: loadIncrementKg ?? DEFAULT_LOAD_INCREMENT_KG,
+            oneRmFormula: oneRmFormula ?? DEFAULT_ONE_RM_FORMULA,
+          }
+        : {}),
+      name,
+      category: current.category,
+      tags: current.tags,
+      notes: current.notes.trim(),
+      type: current.type,
+    };
+    if (current.type !== record.type) {
+      updated = normalizeExerciseRecord({
+        ...updated,
+        baseline: { ...current.baseline, intensityPct },
+        baselineHistory: [{ timestamp: now, source: "setup", baseline: current.baseline, intensityPct }],
+        deloadUntil: null,
+        freezeUntil: null,
+      });
+    } else if (
+      JSON.stringify(current.baseline) !== JSON.stringify(getBaselineFields(record.baseline)) ||
+      intensityPct !== record.baseline.intensityPct
+    ) {
+      updated.baseline = { ...record.baseline, ...current.baseline, intensityPct };
+      updated.baselineHistory = appendBaselineHistory(record, {
+        timestamp: now,
+        source: "edit",
+        baseline: current.baseline,
+        intensityPct,
+      });
+    }
+    await journaled(`Edit exercise: ${name}`, () => dbPut("exercises", updated));
+    state.exercises = state.exercises.map((item) => (item.id === id ? updated : item));
+    closeModal();
+    toast("Exercise updated.");
+    render();
+  };
+
+  modal.querySelector("button[data-editor-action=cancel]").onclick = () => closeModal();
+}
+
+async function setExerciseTarget(id, value) {
+  const exercise = state.exercises.find((item) => item.id === id);
+  if (!exercise) return;
+  const targetValue = value === "" ? null : Number(value);
+  if (targetValue !== null && !(targetValue > 0)) {
+    toast("Target must be greater than 0.");
+    render();
+    return;
+  }
+  const updated = { ...exercise, targetValue };
+  await journaled(`${targetValue === null ? "Clear" : "Set"} target: ${exercise.name}`, () => dbPut("exercises", updated));
+  state.exercises = state.exercises.map((item) => (item.id === id ? updated : item));
   render();
 }
 
-async function deleteExercise(id) {
-  await dbDelete("exercises", id);
-  state.exercises = state.exercises.filter((exercise) => exercise.id !== id);
+async function toggleArchiveExercise(id) {
+  const exercise = state.exercises.find((item) => item.id === id);
+  if (!exercise) return;
+  const updated = { ...exercise, archivedAt: exercise.archivedAt ? null : Date.now() };
+  await journaled(`${updated.archivedAt ? "Archive" : "Restore"} exercise: ${exercise.name}`, () =>
+    dbPut("exercises", updated)
+  );
+  state.exercises = state.exercises.map((item) => (item.id === id ? updated : item));
+  toast(updated.archivedAt ? `${exercise.name} archived. Its history stays in Analytics.` : `${exercise.name} restored.`);
+  render();
+}
+
+async function reassignExerciseReferences(fromId, toId) {
+  for (const log of state.logs.filter((item) => item.exerciseId === fromId)) {
+    if (toId) {
+      const moved = { ...log, exerciseId: toId };
+      await dbPut("logs", moved);
+    } else {
+      await dbDelete("logs", log.id);
+    }
+  }
+  state.logs = state.logs
+    .filter((log) => toId || log.exerciseId !== fromId)
+    .map((log) => (log.exerciseId === fromId ? { ...log, exerciseId: toId } : log));
+
+  for (const template of state.templates.filter((item) => item.items.some((entry) => entry.exerciseId === fromId))) {
+    const items = toId
+      ? template.items.map((entry) => (entry.exerciseId === fromId ? { ...entry, exerciseId: toId } : entry))
+      : template.items.filter((entry) => entry.exerciseId !== fromId);
+    const updated = { ...template, items };
+    await dbPut("templates", updated);
+    state.templates = state.templates.map((item) => (item.id === template.id ? updated : item));
+  }
+
+  const schedule = getScheduleSettings();
+  if (schedule.exerciseIds.includes(fromId) || schedule.snoozes?.[fromId]) {
+    const { [fromId]: removed, ...snoozes } = schedule.snoozes ?? {};
+    const exerciseIds = schedule.exerciseIds.filter((exerciseId) => exerciseId !== fromId);
+    if (toId && schedule.exerciseIds.includes(fromId) && !exerciseIds.includes(toId)) exerciseIds.push(toId);
+    await saveSchedule({ exerciseIds, snoozes });
+  }
+}
+
+function openDeleteExercise(id) {
+  const exercise = state.exercises.find((item) => item.id === id);
+  if (!exercise) return;
+  const logCount = state.logs.filter((log) => log.exerciseId === id).length;
+  const templateCount = state.templates.filter((template) => template.items.some((item) => item.exerciseId === id)).length;
+  const others = state.exercises.filter((item) => item.id !== id && item.type === exercise.type);
+  let mode = "cascade";
+  let targetId = others[0]?.id ?? null;
+
+  const modal = openModal({
+    title: `Delete ${escapeHtml(exercise.name)}`,
+    body: `
+      <p>${logCount} ${logCount === 1 ? "log" : "logs"} · used in ${templateCount} ${templateCount === 1 ? "template" : "templates"}.</p>
+      ${logCount ? `
+        <label class="field field-inline">
+          <input type="radio" name="delete-mode" value="cascade" checked data-delete-mode />
+          <span>Delete its logs too</span>
+        </label>
+        ${others.length ? `
+          <label class="field field-inline">
+            <input type="radio" name="delete-mode" value="reassign" data-delete-mode />
+            <span>Move its logs to another exercise</span>
+          </label>
+          <label class="field">Move logs to
+            <select data-delete-target>
+              ${others.map((item) => `<option value="${item.id}">${escapeHtml(item.name)}</option>`).join("")}
+            </select>
+          </label>
+        ` : `<p class="muted">No other ${exercise.type} exercise to move its logs to.</p>`}
+      ` : ""}
+      <p class="muted">Template items are removed, or re-pointed when logs are moved. Archive instead to hide it but keep everything.</p>
+    `,
+    footer: `
+      <button class="btn primary" data-delete-action="confirm">Delete</button>
+      <button class="btn secondary" data-delete-action="archive" ${exercise.archivedAt ? "disabled" : ""}>Archive instead</button>
+      <button class="btn ghost" data-delete-action="cancel">Cancel</button>
+    `,
+  });
+
+  modal.querySelectorAll("[data-delete-mode]").forEach((input) => {
+    input.onchange = (event) => {
+      mode = event.target.value;
+    };
+  });
+  const targetSelect = modal.querySelector("[data-delete-target]");
+  if (targetSelect) {
+    targetSelect.onchange = (event) => {
+      targetId = event.target.value;
+    };
+  }
+
+  modal.querySelector("button[data-delete-action=confirm]").onclick = async () => {
+    closeModal();
+    await deleteExercise(id, mode === "reassign" ? targetId : null);
+  };
+  modal.querySelector("button[data-delete-action=archive]").onclick = async () => {
+    closeModal();
+    await toggleArchiveExercise(id);
+  };
+  modal.querySelector("button[data-delete-action=cancel]").onclick = () => closeModal();
+}
+
+function openMergeExercises(selectedIds = [], survivorId = null) {
+  const selected = state.exercises.filter((exercise) => selectedIds.includes(exercise.id));
+  const survivor = selected.find((exercise) => exercise.id === survivorId) ?? selected[0];
+  const mixedTypes = new Set(selected.map((exercise) => exercise.type)).size > 1;
+  const countLogs = (id) => state.logs.filter((log) => log.exerciseId === id).length;
+  const formatLogCount = (count) => `${count} ${count === 1 ? "log" : "logs"}`;
+  const countTemplates = (id) =>
+    state.templates.filter((template) => template.items.some((item) => item.exerciseId === id)).length;
+  const merged = selected.filter((exercise) => exercise !== survivor);
+  const totalLogs = selected.reduce((sum, exercise) => sum + countLogs(exercise.id), 0);
+
+  const modal = openModal({
+    title: "Merge duplicates",
+    body: `
+      <p class="muted">Pick the duplicates, then the record to keep. Logs, template items and reminders move to it.</p>
+      <div class="list">
+        ${state.exercises.map((exercise) => `
+          <label class="field field-inline">
+            <input type="checkbox" data-merge-pick="${exercise.id}" ${selectedIds.includes(exercise.id) ? "checked" : ""} />
+            <span>${escapeHtml(exercise.name)} <span class="muted">${exercise.type} · ${formatLogCount(countLogs(exercise.id))}</span></span>
+          </label>
+        `).join("")}
+      </div>
+      ${selected.length > 1 ? `
+        <label class="field">Keep
+          <select data-merge-survivor>
+            ${selected.map((exercise) => `<option value="${exercise.id}" ${exercise === survivor ? "selected" : ""}>${escapeHtml(exercise.name)}</option>`).join("")}
+          </select>
+        </label>
+        ${mixedTypes ? `<p class="muted">Only exercises of the same type can be merged.</p>` : `
+          <div class="log-list">
+            ${merged.map((exercise) => `
+              <div class="log-item">
+                <div>
+                  <strong>${escapeHtml(exercise.name)} → ${escapeHtml(survivor.name)}</strong>
+                  <div class="muted">${formatLogCount(countLogs(exercise.id))} · ${countTemplates(exercise.id)} ${countTemplates(exercise.id) === 1 ? "template" : "templates"} · baseline ${hydrateExercise(exercise).formatBaseline()}</div>
+                </div>
+              </div>
+            `).join("")}
+          </div>
+          <p>${escapeHtml(survivor.name)} will have ${formatLogCount(totalLogs)} (${countLogs(survivor.id)} now). Intensity and deload state are recomputed from the combined history.</p>
+        `}
+      ` : ""}
+    `,
+    footer: `
+      <button class="btn primary" data-merge-action="confirm" ${selected.length > 1 && !mixedTypes ? "" : "disabled"}>Merge</button>
+      <button class="btn ghost" data-merge-action="cancel">Cancel</button>
+    `,
+  });
+
+  modal.querySelectorAll("[data-merge-pick]").forEach((input) => {
+    input.onchange = (event) => {
+      const id = event.target.dataset.mergePick;
+      const next = event.target.checked ? [...selectedIds, id] : selectedIds.filter((item) => item !== id);
+      openMergeExercises(next, survivor?.id);
+    };
+  });
+  const survivorSelect = modal.querySelector("[data-merge-survivor]");
+  if (survivorSelect) {
+    survivorSelect.onchange = (event) => openMergeExercises(selectedIds, event.target.value);
+  }
+
+  modal.querySelector("button[data-merge-action=confirm]").onclick = async () => {
+    closeModal();
+    await mergeExercises(survivor.id, merged.map((exercise) => exercise.id));
+  };
+  modal.querySelector("button[data-merge-action=cancel]").onclick = () => closeModal();
+}
+
+async function mergeExercises(survivorId, mergedIds) {
+  const survivor = state.exercises.find((exercise) => exercise.id === survivorId);
+  const merged = state.exercises.filter((exercise) => mergedIds.includes(exercise.id));
+  if (!survivor || !merged.length) return;
+  const moved = state.logs.filter((log) => mergedIds.includes(log.exerciseId)).length;
+
+  await journaled(`Merge into ${survivor.name}`, async () => {
+    const variantsSchema = [...(survivor.variantsSchema ?? [])];
+    let baselineHistory = [...(survivor.baselineHistory ?? [])];
+    for (const exercise of merged) {
+      const keyMap = {};
+      for (const field of exercise.variantsSchema ?? []) {
+        const match = variantsSchema.find((item) => item.label.toLowerCase() === field.label.toLowerCase());
+        if (match) {
+          keyMap[field.key] = match.key;
+        } else {
+          variantsSchema.push(field);
+        }
+      }
+      for (const log of state.logs.filter((item) => item.exerciseId === exercise.id && item.variants)) {
+        const variants = Object.fromEntries(Object.entries(log.variants).map(([key, value]) => [keyMap[key] ?? key, value]));
+        const remapped = { ...log, variants };
+        await dbPut("logs", remapped);
+        state.logs = state.logs.map((item) => (item.id === log.id ? remapped : item));
+      }
+      baselineHistory = [
+        ...baselineHistory,
+        ...(exercise.baselineHistory ?? []).filter((entry) => entry.source !== "setup" && entry.source !== "loadBump"),
+      ];
+      await reassignExerciseReferences(exercise.id, survivorId);
+      await dbDelete("exercises", exercise.id);
+    }
+    const updated = {
+      ...survivor,
+      variantsSchema,
+      tags: [...new Set([...(survivor.tags ?? []), ...merged.flatMap((exercise) => exercise.tags ?? [])])],
+      baselineHistory: baselineHistory.sort((a, b) => a.timestamp - b.timestamp),
+    };
+    state.exercises = state.exercises
+      .filter((exercise) => !mergedIds.includes(exercise.id))
+      .map((exercise) => (exercise.id === survivorId ? updated : exercise));
+    await replayExerciseEngine(survivorId);
+  });
+  if (mergedIds.includes(state.selectedExerciseId)) state.selectedExerciseId = survivorId;
+  toast(`Merged ${merged.length} ${merged.length === 1 ? "exercise" : "exercises"} into ${survivor.name} (${moved} ${moved === 1 ? "log" : "logs"} moved).`);
+  render();
+}
+
+async function deleteExercise(id, reassignTo) {
+  const name = state.exercises.find((exercise) => exercise.id === id)?.name ?? "exercise";
+  await journaled(`Delete exercise: ${name}`, async () => {
+    await reassignExerciseReferences(id, reassignTo);
+    await dbDelete("exercises", id);
+    state.exercises = state.exercises.filter((exercise) => exercise.id !== id);
+    if (reassignTo) await replayExerciseEngine(reassignTo);
+  });
+  if (state.selectedExerciseId === id) state.selectedExerciseId = reassignTo ?? null;
   render();
 }
 
+function getTemplateIssues(template) {
+  const missing = template.items.filter((item) => !state.exercises.some((exercise) => exercise.id === item.exerciseId)).length;
+  const archived = template.items
+    .map((item) => state.exercises.find((exercise) => exercise.id === item.exerciseId))
+    .filter((exercise) => exercise?.archivedAt)
+    .map((exercise) => exercise.name);
+  return { missing, archived };
+}
+
+function formatTemplateIssues(template) {
+  const { missing, archived } = getTemplateIssues(template);
+  return [
+    missing ? `${missing} ${missing === 1 ? "item references a deleted exercise" : "items reference deleted exercises"}` : "",
+    archived.length ? `uses archived ${archived.join(", ")}` : "",
+  ]
+    .filter(Boolean)
+    .join("; ");
+}
+
 function addTemplateItem() {
   if (!state.templateItems) state.templateItems = [];
-  const first = state.exercises[0];
+  const first = getActiveExercises()[0];
   if (!first) return;
   state.templateItems.push({ exerciseId: first.id, targetMode: "auto" });
   render();
@@ -1966,15 +6008,60 @@ function removeTemplateItem(index) {
   render();
 }
 
+function moveTemplateItem(from, to) {
+  const items = state.templateItems ?? [];
+  if (from === to || to < 0 || to >= items.length) return;
+  const [item] = items.splice(from, 1);
+  items.splice(to, 0, item);
+  render();
+}
+
+function editTemplate(id) {
+  const template = state.templates.find((item) => item.id === id);
+  if (!template) return;
+  state.editingTemplateId = id;
+  state.templateName = template.name;
+  state.templateItems = structuredClone(template.items);
+  render();
+  document.querySelector("[data-field=template-name]")?.scrollIntoView({ behavior: "smooth", block: "center" });
+}
+
+function resetTemplateForm() {
+  state.editingTemplateId = null;
+  state.templateName = "";
+  state.templateItems = [];
+  render();
+}
+
+async function duplicateTemplate(id) {
+  const source = state.templates.find((item) => item.id === id);
+  if (!source) return;
+  const template = { ...structuredClone(source), id: uuid(), name: `${source.name} (copy)` };
+  await journaled(`Duplicate template: ${source.name}`, () => dbPut("templates", template));
+  state.templates.push(template);
+  toast(`Created ${template.name}.`);
+  render();
+}
+
 async function saveTemplate() {
   if (!state.templateName?.trim()) return;
+  const items = state.templateItems ?? [];
+  if (items.some((item) => !state.exercises.some((exercise) => exercise.id === item.exerciseId))) {
+    toast("Replace or remove items that reference deleted exercises.");
+    return;
+  }
+  const existing = state.templates.find((item) => item.id === state.editingTemplateId);
   const template = {
-    id: uuid(),
+    ...(existing ?? {}),
+    id: existing?.id ?? uuid(),
     name: state.templateName.trim(),
-    items: state.templateItems ?? [],
+    items,
   };
-  await dbPut("templates", template);
-  state.templates.push(template);
+  await journaled(`${existing ? "Edit" : "Create"} template: ${template.name}`, () => dbPut("templates", template));
+  state.templates = existing
+    ? state.templates.map((item) => (item.id === template.id ? template : item))
+    : [...state.templates, template];
+  state.editingTemplateId = null;
   state.templateName = "";
   state.templateItems = [];
   toast("Template saved.");
@@ -1982,79 +6069,151 @@ async function saveTemplate() {
 }
 
 async function deleteTemplate(id) {
-  await dbDelete("templates", id);
+  const name = state.templates.find((template) => template.id === id)?.name ?? "template";
+  await journaled(`Delete template: ${name}`, () => dbDelete("templates", id));
   state.templates = state.templates.filter((template) => template.id !== id);
+  if (state.editingTemplateId === id) resetTemplateForm();
   render();
 }
 
+function csvCell(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function getVariantColumns(exercises) {
+  return [...new Set(exercises.flatMap((exercise) => (exercise.variantsSchema ?? []).map((field) => field.label)))];
+}
+
+function getVariantCell(exercise, log, label) {
+  const field = exercise?.variantsSchema?.find((item) => item.label === label);
+  return field ? log.variants?.[field.key] ?? "" : "";
+}
+
 function exportCsv() {
-  const logs = state.logs.filter((log) => log.exerciseId === (state.selectedExerciseId ?? state.exercises[0]?.id));
+  const selectedExerciseId = getAnalyticsExerciseId();
+  const logs = state.logs.filter((log) => log.exerciseId === selectedExerciseId);
   const exerciseMap = new Map(state.exercises.map((exercise) => [exercise.id, exercise]));
+  const variantColumns = getVariantColumns(state.exercises.filter((exercise) => exercise.id === selectedExerciseId));
   const header = [
     "timestamp",
     "exerciseId",
+    "category",
+    "tags",
     "reps",
     "loadKg",
     "durationSec",
+    "distanceM",
+    "rounds",
+    "workSec",
+    "restSec",
     "rir",
     "pain0to10",
+    "painRegion",
     "status",
+    "kind",
     "baselineIntensityPct",
     "deloadActive",
+    "estimated1RM",
+    "oneRmFormula",
+    "notes",
+    ...variantColumns.map((label) => `variant:${label}`),
   ];
   const rows = logs.map((log) => {
     const exercise = exerciseMap.get(log.exerciseId);
     const intensity = exercise?.baseline?.intensityPct;
     const deloadActive = exercise?.deloadUntil ? Date.now() < exercise.deloadUntil : false;
+    const estimated1RM = exercise?.type === "weighted" ? estimateLog1RM(log, exercise.oneRmFormula) : undefined;
     return [
       log.timestamp,
       log.exerciseId,
+      exercise?.category ?? "",
+      (exercise?.tags ?? []).join("; "),
       log.reps ?? "",
       log.loadKg ?? "",
       log.durationSec ?? "",
+      log.distanceM ?? "",
+      log.rounds ?? "",
+      log.workSec ?? "",
+      log.restSec ?? "",
       log.rir ?? "",
       log.pain0to10 ?? "",
+      log.painRegion ?? "",
       log.status,
+      log.kind ?? "set",
       intensity ?? "",
       deloadActive,
+      estimated1RM !== undefined ? formatNumber(estimated1RM) : "",
+      exercise?.type === "weighted" ? getOneRmFormula(exercise.oneRmFormula).label : "",
+      log.notes ?? "",
+      ...variantColumns.map((label) => getVariantCell(exercise, log, label)),
     ];
   });
-  const csv = [header, ...rows].map((row) => row.join(",")).join("\n");
+  const csv = [header, ...rows].map((row) => row.map(csvCell).join(",")).join("\n");
   downloadFile("dojo-logs.csv", csv);
 }
 
 function exportGlobalCsv() {
-  const exerciseMap = new Map(state.exercises.map((exercise) => [exercise.id, exercise]));
+  const exercises = getFilteredExercises(state.exercises);
+  const exerciseMap = new Map(exercises.map((exercise) => [exercise.id, exercise]));
+  const variantColumns = getVariantColumns(exercises);
   const header = [
     "timestamp",
     "exerciseId",
+    "category",
+    "tags",
     "reps",
     "loadKg",
     "durationSec",
+    "distanceM",
+    "rounds",
+    "workSec",
+    "restSec",
     "rir",
     "pain0to10",
+    "painRegion",
     "status",
+    "kind",
     "baselineIntensityPct",
     "deloadActive",
+    "estimated1RM",
+    "oneRmFormula",
+    "notes",
+    ...variantColumns.map((label) => `variant:${label}`),
   ];
-  const rows = state.logs.map((log) => {
+  const filtered = Boolean(state.filterCategory || state.filterTag);
+  const logs = filtered ? state.logs.filter((log) => exerciseMap.has(log.exerciseId)) : state.logs;
+  const rows = logs.map((log) => {
     const exercise = exerciseMap.get(log.exerciseId);
     const intensity = exercise?.baseline?.intensityPct;
     const deloadActive = exercise?.deloadUntil ? Date.now() < exercise.deloadUntil : false;
+    const estimated1RM = exercise?.type === "weighted" ? estimateLog1RM(log, exercise.oneRmFormula) : undefined;
     return [
       log.timestamp,
       log.exerciseId,
+      exercise?.category ?? "",
+      (exercise?.tags ?? []).join("; "),
       log.reps ?? "",
       log.loadKg ?? "",
       log.durationSec ?? "",
+      log.distanceM ?? "",
+      log.rounds ?? "",
+      log.workSec ?? "",
+      log.restSec ?? "",
       log.rir ?? "",
       log.pain0to10 ?? "",
+      log.painRegion ?? "",
       log.status,
+      log.kind ?? "set",
       intensity ?? "",
       deloadActive,
+      estimated1RM !== undefined ? formatNumber(estimated1RM) : "",
+      exercise?.type === "weighted" ? getOneRmFormula(exercise.oneRmFormula).label : "",
+      log.notes ?? "",
+      ...variantColumns.map((label) => getVariantCell(exercise, log, label)),
     ];
   });
-  const csv = [header, ...rows].map((row) => row.join(",")).join("\n");
+  const csv = [header, ...rows].map((row) => row.map(csvCell).join(",")).join("\n");
   downloadFile("dojo-all-logs.csv", csv);
 }
 
@@ -2071,43 +6230,56 @@ function exportJson() {
 async function importJson(file) {
   if (!file) return;
   const text = await file.text();
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    alert("Invalid JSON file.");
+    return;
+  }
   try {
-    const data = JSON.parse(text);
-    if (data.exercises) {
-      state.exercises = [];
-      for (const exercise of data.exercises) {
-        const normalized = normalizeExerciseRecord(exercise);
-        state.exercises.push(normalized);
-        await dbPut("exercises", normalized);
+    await journaled(`Import ${file.name ?? "JSON"}`, async () => {
+      if (data.exercises) {
+        state.exercises = [];
+        for (const exercise of data.exercises) {
+          const normalized = normalizeExerciseRecord(exercise);
+          state.exercises.push(normalized);
+          await dbPut("exercises", normalized);
+        }
       }
-    }
-    if (data.logs) {
-      state.logs = data.logs;
-      for (const log of data.logs) {
-        await dbPut("logs", log);
+      if (data.logs) {
+        state.logs = data.logs;
+        for (const log of data.logs) {
+          await dbPut("logs", log);
+        }
       }
-    }
-    if (data.templates) {
-      state.templates = data.templates;
-      for (const template of data.templates) {
-        await dbPut("templates", template);
+      if (data.templates) {
+        state.templates = data.templates;
+        for (const template of data.templates) {
+          await dbPut("templates", template);
+        }
       }
-    }
-    if (data.settings) {
-      await saveSettings(data.settings);
-    }
-    toast("Import complete.");
-    render();
+      if (data.settings) {
+        await saveSettings(data.settings);
+      }
+    });
   } catch {
     alert("Invalid JSON file.");
+    await readStores();
+    applyTheme();
+    render();
+    return;
   }
+  toast("Import complete.");
+  render();
 }
 
 async function resetAll() {
   if (!confirm("Reset all data? This cannot be undone.")) return;
   const db = await dbPromise;
   await new Promise((resolve, reject) => {
-    const transaction = db.transaction(["exercises", "logs", "templates", "settings"], "readwrite");
+    const transaction = db.transaction(["exercises", "logs", "templates", "settings", "journal"], "readwrite");
+    transaction.objectStore("journal").clear();
     transaction.objectStore("exercises").clear();
     transaction.objectStore("logs").clear();
     transaction.objectStore("templates").clear();
@@ -2118,7 +6290,11 @@ async function resetAll() {
   state.exercises = [];
   state.logs = [];
   state.templates = [];
+  state.journal = [];
   state.templateItems = [];
+  state.editingTemplateId = null;
+  state.filterCategory = null;
+  state.filterTag = null;
   state.variantFields = [];
   state.selectedExerciseId = null;
   state.selectedTemplateId = null;
@@ -2141,8 +6317,15 @@ if ("serviceWorker" in navigator) {
   window.addEventListener("load", () => {
     navigator.serviceWorker.register("./sw.js");
   });
+  navigator.serviceWorker.addEventListener("message", (event) => {
+    if (event.data?.type === "snooze") {
+      snoozeExercise(event.data.exerciseId, event.data.until);
+    }
+  });
 }
 
+setInterval(tickSchedule, 15 * 1000);
+
 state.mode = "single";
 state.exerciseType = "reps";
 state.exerciseCategory = "pull";
@@ -2150,6 +6333,12 @@ state.maxCleanReps = "";
 state.maxCleanHoldSec = "";
 state.topSetReps = "";
 state.topSetLoadKg = "";
+state.loadIncrementKg = DEFAULT_LOAD_INCREMENT_KG;
+state.oneRmFormula = DEFAULT_ONE_RM_FORMULA;
+state.baselineDraft = {};
+state.editingTemplateId = null;
+state.progressionStrategy = "gtg";
+state.minRestMinutes = DEFAULT_MIN_REST_MINUTES;
 state.intensityPreset = "normal";
 state.intensityAdvanced = false;
 state.intensityPct = GTG_INTENSITY_PRESETS.normal;
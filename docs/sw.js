@@ -1,4 +1,4 @@
-const CACHE_VERSION = "dojo-static-v2";
+const CACHE_VERSION = "dojo-static-v5";
 const APP_ASSETS = [
   "./index.html",
   "./styles.css",
@@ -41,3 +41,74 @@ self.addEventListener("fetch", (event) => {
     })
   );
 });
+
+const canScheduleReminders = "Notification" in self && "showTrigger" in Notification.prototype && "TimestampTrigger" in self;
+
+function showReminder(reminder, at) {
+  return self.registration.showNotification(reminder.title, {
+    body: reminder.body,
+    tag: reminder.id,
+    icon: "./icons/icon-192.svg",
+    data: reminder,
+    actions: [{ action: "snooze", title: `Snooze ${reminder.snoozeMinutes} min` }],
+    ...(at > Date.now() ? { showTrigger: new TimestampTrigger(at) } : {}),
+  });
+}
+
+async function scheduleReminders(reminders) {
+  const pending = await self.registration.getNotifications({ includeTriggered: true });
+  pending
+    .filter((notification) => notification.showTrigger?.timestamp > Date.now())
+    .forEach((notification) => notification.close());
+  await Promise.all(reminders.map((reminder) => showReminder(reminder, reminder.at)));
+}
+
+function saveSnooze(exerciseId, until) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open("dojo-db");
+    request.onupgradeneeded = () => request.transaction.abort();
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const transaction = request.result.transaction("settings", "readwrite");
+      const store = transaction.objectStore("settings");
+      const read = store.get("app");
+      read.onsuccess = () => {
+        const record = read.result;
+        if (!record) return;
+        const schedule = record.value.schedule ?? {};
+        const snoozes = { ...(schedule.snoozes ?? {}), [exerciseId]: until };
+        store.put({ ...record, value: { ...record.value, schedule: { ...schedule, snoozes } } });
+      };
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    };
+  });
+}
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type !== "schedule-reminders" || !canScheduleReminders) return;
+  event.waitUntil(scheduleReminders(event.data.reminders ?? []));
+});
+
+self.addEventListener("notificationclick", (event) => {
+  const reminder = event.notification.data ?? {};
+  event.notification.close();
+  if (event.action === "snooze") {
+    const until = Date.now() + (reminder.snoozeMinutes ?? 15) * 60 * 1000;
+    event.waitUntil(
+      saveSnooze(reminder.exerciseId, until)
+        .then(() => (canScheduleReminders ? showReminder(reminder, until) : null))
+        .then(() => self.clients.matchAll({ type: "window", includeUncontrolled: true }))
+        .then((clients) => {
+          clients.forEach((client) => client.postMessage({ type: "snooze", exerciseId: reminder.exerciseId, until }));
+        })
+    );
+    return;
+  }
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((clients) => {
+      if (clients.length) return clients[0].focus();
+      return self.clients.openWindow("./index.html");
+    })
+  );
+});